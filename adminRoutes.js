@@ -0,0 +1,160 @@
+import express from "express";
+import { fileURLToPath } from "url";
+import { requireAdmin } from "./webhookSecurity.js";
+import { isAuditLogEnabled, getCheckStats, getTopClaims, getTopUrls } from "./auditLog.js";
+import { listReviewItems, claimReviewItem, resolveReviewItem } from "./reviewQueue.js";
+import { ALERT_TOPICS, subscriptionSummary } from "./subscriptions.js";
+import { listKnownImages, forgetKnownImage } from "./imageAnalysis.js";
+import { saveKnownClaim, importKnownClaims, deleteKnownClaim, listKnownClaims, matchKnownClaims, claimsFromClaimReview, claimsFromCsv } from "./knownClaims.js";
+
+const DASHBOARD_DIR = fileURLToPath(new URL("./public/admin", import.meta.url));
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 24 * 90;
+const MAX_LIMIT = 100;
+const REVIEW_STATUSES = ["pending", "open", "claimed", "resolved", "all"];
+const REVIEW_ERROR_STATUS = { not_found: 404, resolved: 409, claimed: 409, invalid: 400 };
+const KNOWN_CLAIMS_UNAVAILABLE = { error: "The known claims database could not be opened" };
+const MAX_ALERT_LENGTH = 1000;
+const IMPORT_SIZE_LIMIT = "10mb"; // ClaimReview feeds from fact-checking organisations run to several megabytes
+
+function clampNumber(value, fallback, max) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.min(number, max) : fallback;
+}
+
+// ?hours= picks the time window every endpoint reports on (default the last 24 hours)
+function timeWindow(req) {
+  const hours = clampNumber(req.query.hours, DEFAULT_WINDOW_HOURS, MAX_WINDOW_HOURS);
+  return { hours, since: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() };
+}
+
+// Run a query against the audit log and send it as JSON along with the window it covers
+function sendStats(res, req, query) {
+  if (!isAuditLogEnabled()) {
+    return res.status(503).json({ error: "The audit log is disabled, so there are no statistics" });
+  }
+
+  const window = timeWindow(req);
+  try {
+    res.json({ window, ...query(window.since, clampNumber(req.query.limit, 10, MAX_LIMIT)) });
+  } catch (error) {
+    console.error("❌ Admin stats query failed:", error.message);
+    res.status(500).json({ error: "Could not read the audit log" });
+  }
+}
+
+// Answer a review queue action: the item, or the error with a matching HTTP status
+function sendReviewOutcome(res, { error, item, ...details }) {
+  if (error) {
+    return res.status(REVIEW_ERROR_STATUS[error] || 400).json({ error, ...details });
+  }
+  res.json({ item });
+}
+
+// Moderator dashboard and its JSON API, all behind ADMIN_TOKEN. Mounted at /admin.
+// onReviewResolved({ item, override, askers, recipients }) is called when a reviewer sets a verdict, and
+// onAlert(topic, message) sends a topic alert and returns { recipients, queued, throttled, unavailable }.
+export function createAdminRouter({ onReviewResolved = () => {}, onAlert = () => ({}) } = {}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+  router.use(express.json({ limit: IMPORT_SIZE_LIMIT, type: ["application/json", "application/ld+json"] }));
+  router.use(express.text({ limit: IMPORT_SIZE_LIMIT, type: "text/csv" }));
+
+  // Totals, verdict distribution, input types, error rate and latency percentiles
+  router.get("/api/stats", (req, res) => sendStats(res, req, since => getCheckStats(since)));
+
+  // What is going viral: the most-checked claims and the most-shared links
+  router.get("/api/claims", (req, res) => sendStats(res, req, (since, limit) => ({ claims: getTopClaims(since, limit) })));
+  router.get("/api/urls", (req, res) => sendStats(res, req, (since, limit) => ({ urls: getTopUrls(since, limit) })));
+
+  // Human review queue: unclear, low-confidence and disputed checks
+  router.get("/api/reviews", (req, res) => {
+    const status = req.query.status || "pending";
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(", ")}` });
+    }
+    res.json({ items: listReviewItems(status) });
+  });
+  router.post("/api/reviews/:id/claim", (req, res) => {
+    if (!req.body?.reviewer) {
+      return res.status(400).json({ error: "invalid", problems: ["reviewer is required"] });
+    }
+    sendReviewOutcome(res, claimReviewItem(req.params.id, String(req.body.reviewer)));
+  });
+  // Body: { reviewer, verdict, explanation, claimSummary?, sources? }
+  router.post("/api/reviews/:id/resolve", (req, res) => {
+    const { reviewer, verdict, explanation, claimSummary, sources } = req.body || {};
+    const outcome = resolveReviewItem(req.params.id, { reviewer: reviewer && String(reviewer), verdict, explanation, claimSummary, sources });
+    if (!outcome.error) {
+      onReviewResolved(outcome);
+    }
+    sendReviewOutcome(res, outcome);
+  });
+
+  // Curated known claims, matched against every message before any model is asked.
+  // ?tag= filters the list; ?q= instead returns the claims most similar to that text, with their scores.
+  router.get("/api/known-claims", (req, res) => {
+    const limit = clampNumber(req.query.limit, 50, MAX_LIMIT);
+    if (req.query.q) {
+      return res.json({ matches: matchKnownClaims(String(req.query.q), { minScore: 0, limit }) });
+    }
+    res.json({ claims: listKnownClaims({ tag: req.query.tag && String(req.query.tag), limit, offset: Number(req.query.offset) || 0 }) });
+  });
+  // Body: { text, verdict, explanation, sources?, tags?, reviewedBy? }. The same claim text updates the existing entry.
+  router.post("/api/known-claims", (req, res) => {
+    const { text, verdict, explanation, sources, tags, reviewedBy } = req.body || {};
+    const outcome = saveKnownClaim({ text, verdict, explanation, sources, tags, reviewedBy: reviewedBy ? String(reviewedBy) : null });
+    if (outcome.error === "unavailable") return res.status(503).json(KNOWN_CLAIMS_UNAVAILABLE);
+    if (outcome.error) return res.status(400).json(outcome);
+    res.status(201).json(outcome);
+  });
+  // Body: ClaimReview JSON-LD (one review, a list or a DataFeed), or a CSV file sent as text/csv
+  router.post("/api/known-claims/import", (req, res) => {
+    const claims = typeof req.body === "string" ? claimsFromCsv(req.body) : claimsFromClaimReview(req.body);
+    if (claims.length === 0) {
+      return res.status(400).json({ error: "No claims found. Send ClaimReview JSON-LD as application/json or a CSV file as text/csv." });
+    }
+    const outcome = importKnownClaims(claims);
+    if (outcome.error) return res.status(503).json(KNOWN_CLAIMS_UNAVAILABLE);
+    res.json({ found: claims.length, ...outcome });
+  });
+  router.delete("/api/known-claims/:id", (req, res) => {
+    if (!deleteKnownClaim(Number(req.params.id))) {
+      return res.status(404).json({ error: "not_found" });
+    }
+    res.status(204).end();
+  });
+
+  // Images the bot recognises as already debunked
+  router.get("/api/known-images", (req, res) => {
+    res.json({ images: listKnownImages() });
+  });
+  router.delete("/api/known-images/:hash", (req, res) => {
+    if (!forgetKnownImage(req.params.hash)) {
+      return res.status(404).json({ error: "not_found" });
+    }
+    res.status(204).end();
+  });
+
+  // FOLLOW subscriptions: people per topic and the claims being followed (no phone numbers or chat ids)
+  router.get("/api/subscriptions", (req, res) => {
+    res.json(subscriptionSummary());
+  });
+  // Body: { topic, message }. Sent to everyone following the topic, within each person's daily alert limit.
+  router.post("/api/alerts", (req, res) => {
+    const topic = String(req.body?.topic || "").toLowerCase();
+    const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+    const problems = [
+      ALERT_TOPICS.includes(topic) ? "" : `topic must be one of ${ALERT_TOPICS.join(", ")}`,
+      message ? "" : "message is required",
+      message.length > MAX_ALERT_LENGTH ? `message must be at most ${MAX_ALERT_LENGTH} characters` : ""
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: "invalid", problems });
+    }
+    res.json({ topic, ...onAlert(topic, message) });
+  });
+
+  router.use(express.static(DASHBOARD_DIR));
+  return router;
+}
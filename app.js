@@ -0,0 +1,58 @@
+import express from "express";
+import bodyParser from "body-parser";
+import { createAdminRouter } from "./adminRoutes.js";
+import { registerChannel, notifyReviewResolved, broadcastAlert } from "./factCheckPipeline.js";
+import { whatsappChannel, createWhatsAppRouter } from "./whatsappChannel.js";
+import { telegramChannel, createTelegramRouter, isTelegramEnabled } from "./telegramChannel.js";
+import { webChannel, createWebRouter, isWebApiEnabled } from "./webChannel.js";
+import { createMediaRouter } from "./signedMedia.js";
+
+// The whole bot as an Express app, without listening on a port: index.js serves it,
+// and the regression tests send it recorded webhooks directly.
+// Every module reads its settings from the environment when first imported, so set it up before importing this.
+export function createApp() {
+  const app = express();
+  // Behind a proxy or load balancer, TRUST_PROXY (e.g. "1" for one hop) makes req.ip the client's address
+  if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+  }
+  app.use(bodyParser.urlencoded({ extended: false }));
+
+  // Add middleware to log all requests
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    next();
+  });
+
+  // Test endpoint
+  app.get("/test", (req, res) => {
+    res.json({ status: "Server is working!", timestamp: new Date().toISOString() });
+  });
+
+  // Signed, short-lived links to generated media such as voice replies
+  app.use(createMediaRouter());
+
+  // Moderator dashboard and statistics API (needs ADMIN_TOKEN)
+  app.use("/admin", createAdminRouter({ onReviewResolved: notifyReviewResolved, onAlert: broadcastAlert }));
+
+  // Channels: each adapter turns its webhook into pipeline messages and delivers the replies
+  [whatsappChannel, telegramChannel, webChannel].forEach(registerChannel);
+  app.use(createWhatsAppRouter());
+  if (isWebApiEnabled) {
+    app.use(createWebRouter());
+    console.log("Check API enabled at /api/check");
+  }
+  if (isTelegramEnabled) {
+    app.use(createTelegramRouter());
+    console.log("Telegram webhook enabled at /telegram");
+  }
+
+  return app;
+}
+
+// "true", a number of hops, or addresses/subnets, as Express takes them
+function trustProxySetting(value) {
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
@@ -0,0 +1,105 @@
+import path from "path";
+import { runFfmpeg, probeMedia, withTempFile, readOutputFiles, isFfmpegMissing } from "./ffmpeg.js";
+
+// Synchronous recognition only takes about a minute of audio (and at most 10 MB)
+const SYNC_MAX_SECONDS = 55;
+const SYNC_MAX_BYTES = 10 * 1024 * 1024;
+const AUDIO_CHUNK_SECONDS = Number(process.env.AUDIO_CHUNK_SECONDS || 300);
+export const AUDIO_MAX_SECONDS = Number(process.env.AUDIO_MAX_SECONDS || 900);
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Identify the container and codec from the file's first bytes, since Twilio's content type
+// is often generic (iOS voice notes arrive as audio/mp4 or audio/amr).
+// `encoding` is the Google Speech encoding when Google can read the file as-is, otherwise null.
+export function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 12) return { format: "unknown", encoding: null };
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (ascii(0, 4) === "OggS") {
+    const opusHead = buffer.indexOf("OpusHead");
+    if (opusHead === -1 || opusHead + 16 > buffer.length) return { format: "ogg/vorbis", encoding: null };
+    const sampleRateHertz = buffer.readUInt32LE(opusHead + 12);
+    return OPUS_SAMPLE_RATES.includes(sampleRateHertz)
+      ? { format: "ogg/opus", encoding: "OGG_OPUS", sampleRateHertz }
+      : { format: "ogg/opus", encoding: null };
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") {
+    // Plain 16-bit PCM with the usual "fmt " chunk first; anything fancier gets converted
+    const isPcm16 = ascii(12, 16) === "fmt " && buffer.length >= 36 && buffer.readUInt16LE(20) === 1 && buffer.readUInt16LE(34) === 16;
+    return isPcm16
+      ? { format: "wav", encoding: "LINEAR16", sampleRateHertz: buffer.readUInt32LE(24), audioChannelCount: buffer.readUInt16LE(22) }
+      : { format: "wav", encoding: null };
+  }
+  if (ascii(0, 9) === "#!AMR-WB\n") return { format: "amr-wb", encoding: "AMR_WB", sampleRateHertz: 16000 };
+  if (ascii(0, 6) === "#!AMR\n") return { format: "amr", encoding: "AMR", sampleRateHertz: 8000 };
+  if (ascii(0, 4) === "fLaC") return { format: "flac", encoding: "FLAC" };
+  if (ascii(4, 8) === "ftyp") return { format: "mp4/m4a", encoding: null };
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return { format: "webm", encoding: null };
+  if (ascii(0, 3) === "ID3" || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return { format: "mp3", encoding: null };
+  return { format: "unknown", encoding: null };
+}
+
+function speechConfigFor({ encoding, sampleRateHertz, audioChannelCount }) {
+  const config = { encoding };
+  if (sampleRateHertz) config.sampleRateHertz = sampleRateHertz;
+  if (audioChannelCount > 1) config.audioChannelCount = audioChannelCount;
+  return config;
+}
+
+// Get audio ready for Google Speech. Short audio in a format Google reads goes as-is to synchronous
+// recognition; everything else is converted to 16 kHz mono Opus and cut into chunks for long-running
+// recognition. Returns { chunks, config, longRunning, durationSeconds, truncated, format }, or null.
+export async function prepareAudioForSpeech(buffer) {
+  const detected = detectAudioFormat(buffer);
+  const nativeConfig = detected.encoding ? speechConfigFor(detected) : null;
+  console.log("🎤 Detected audio format:", detected.format);
+
+  try {
+    return await withTempFile(buffer, async (filePath, directory) => {
+      const { durationSeconds } = await probeMedia(filePath);
+      console.log(`🎤 Audio is ${durationSeconds.toFixed(1)}s long`);
+
+      if (nativeConfig && durationSeconds <= SYNC_MAX_SECONDS && buffer.length <= SYNC_MAX_BYTES) {
+        return { chunks: [buffer], config: nativeConfig, longRunning: false, durationSeconds, truncated: false, format: detected.format };
+      }
+
+      await runFfmpeg([
+        "-i", filePath,
+        "-t", String(AUDIO_MAX_SECONDS),
+        "-vn", "-ac", "1", "-ar", "16000", "-c:a", "libopus",
+        "-f", "segment", "-segment_format", "ogg", "-segment_time", String(AUDIO_CHUNK_SECONDS), "-reset_timestamps", "1",
+        path.join(directory, "chunk-%03d.ogg")
+      ]);
+      const chunks = await readOutputFiles(directory, "chunk-");
+      console.log(`🎤 Converted audio into ${chunks.length} chunk(s)`);
+      return {
+        chunks,
+        config: { encoding: "OGG_OPUS", sampleRateHertz: 16000 },
+        longRunning: durationSeconds > SYNC_MAX_SECONDS,
+        durationSeconds,
+        truncated: durationSeconds > AUDIO_MAX_SECONDS,
+        format: detected.format
+      };
+    });
+  } catch (error) {
+    if (isFfmpegMissing(error) && nativeConfig) {
+      // Without ffmpeg we can't measure or convert, but Google can still read this format.
+      // Long-running recognition accepts any length, so use it to be safe.
+      console.log("⚠️ ffmpeg not found, sending audio to Google as-is");
+      return { chunks: [buffer], config: nativeConfig, longRunning: true, durationSeconds: null, truncated: false, format: detected.format };
+    }
+    console.error(isFfmpegMissing(error)
+      ? `❌ ffmpeg not found, can't convert ${detected.format} audio. Install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH`
+      : `❌ Audio preparation failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Overall confidence of a transcript: segment confidences weighted by how much text each one has.
+// Google leaves confidence at 0 when it didn't compute one, so those segments are ignored.
+export function transcriptConfidence(segments) {
+  const scored = segments.filter(segment => segment.confidence > 0);
+  const totalLength = scored.reduce((sum, segment) => sum + segment.text.length, 0);
+  if (totalLength === 0) return null;
+  return scored.reduce((sum, segment) => sum + segment.confidence * segment.text.length, 0) / totalLength;
+}
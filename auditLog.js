@@ -0,0 +1,249 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+// Every request the bot answers, kept in SQLite so wrong verdicts can be reviewed later and
+// repeat rumours counted. Senders are stored only as a keyed hash of their phone number.
+const AUDIT_DB_FILE = process.env.AUDIT_DB_FILE || "data/audit.db";
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90); // 0 keeps everything
+const HASH_SECRET_FILE = process.env.AUDIT_HASH_SECRET_FILE || "data/audit-hash-secret";
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    sender_hash TEXT NOT NULL,
+    input_type TEXT NOT NULL,
+    content_key TEXT,
+    input_text TEXT,
+    urls TEXT,
+    summary TEXT,
+    verdict TEXT,
+    provider TEXT,
+    raw_answers TEXT,
+    results TEXT,
+    reply TEXT,
+    language TEXT,
+    cached INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS checks_sender ON checks (sender_hash, created_at);
+  CREATE INDEX IF NOT EXISTS checks_content ON checks (content_key);
+  CREATE INDEX IF NOT EXISTS checks_created ON checks (created_at);
+`;
+
+// The key for sender hashes: AUDIT_HASH_SECRET, else one generated on the first start and kept in
+// AUDIT_HASH_SECRET_FILE, outside the database, so a copy of the database alone can't be reversed.
+// Returns null when there is no key; unkeyed hashes of phone numbers are reversed by hashing every number.
+function loadHashSecret() {
+  if (process.env.AUDIT_HASH_SECRET) return process.env.AUDIT_HASH_SECRET;
+  try {
+    if (fs.existsSync(HASH_SECRET_FILE)) {
+      const saved = fs.readFileSync(HASH_SECRET_FILE, "utf8").trim();
+      if (saved) return saved;
+      console.error(`❌ ${HASH_SECRET_FILE} is empty`);
+      return null;
+    }
+    const secret = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(path.dirname(HASH_SECRET_FILE), { recursive: true });
+    fs.writeFileSync(HASH_SECRET_FILE, secret, { mode: 0o600, flag: "wx" });
+    console.log(`🔑 Generated the sender hash key in ${HASH_SECRET_FILE} - back it up along with the audit log`);
+    return secret;
+  } catch (error) {
+    console.error("❌ Could not read or create the sender hash key:", error.message);
+    return null;
+  }
+}
+
+const HASH_SECRET = process.env.AUDIT_LOG !== "off" ? loadHashSecret() : null;
+
+let db = null;
+if (process.env.AUDIT_LOG !== "off") {
+  try {
+    if (!HASH_SECRET) {
+      throw new Error("there is no sender hash key (AUDIT_HASH_SECRET)");
+    }
+    fs.mkdirSync(path.dirname(AUDIT_DB_FILE), { recursive: true });
+    db = new Database(AUDIT_DB_FILE);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    console.log("🗄️ Audit log at", AUDIT_DB_FILE);
+  } catch (error) {
+    console.error("❌ Could not open audit log, checks won't be recorded:", error.message);
+    db = null;
+  }
+}
+
+export function isAuditLogEnabled() {
+  return db !== null;
+}
+
+// HMAC-SHA256 of the WhatsApp address, so the same sender always gets the same hash
+export function hashSender(sender) {
+  return crypto.createHmac("sha256", HASH_SECRET).update(String(sender || "")).digest("hex");
+}
+
+function toJSON(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// entry: { inputType, contentKey, text, urls, results, reply, language, cached, latencyMs, error }.
+// results are the per-claim verdicts; their provider, rawAnswer and overall verdict get their own columns.
+export function recordCheck(sender, entry) {
+  if (!db) return;
+
+  try {
+    const results = entry.results || [];
+    const providers = [...new Set(results.map(result => result.provider).concat(entry.provider).filter(Boolean))];
+    const rawAnswers = results.map(result => result.rawAnswer).concat(entry.rawAnswer).filter(Boolean);
+    db.prepare(`
+      INSERT INTO checks (created_at, sender_hash, input_type, content_key, input_text, urls, summary, verdict,
+        provider, raw_answers, results, reply, language, cached, latency_ms, error)
+      VALUES (@createdAt, @senderHash, @inputType, @contentKey, @text, @urls, @summary, @verdict,
+        @provider, @rawAnswers, @results, @reply, @language, @cached, @latencyMs, @error)
+    `).run({
+      createdAt: new Date().toISOString(),
+      senderHash: hashSender(sender),
+      inputType: entry.inputType || "text",
+      contentKey: entry.contentKey || null,
+      text: entry.text || null,
+      urls: entry.urls?.length ? toJSON(entry.urls) : null,
+      summary: results.find(result => result.claim_summary)?.claim_summary || entry.text?.slice(0, 200) || null,
+      verdict: entry.verdict || null,
+      provider: providers.join(", ") || null,
+      rawAnswers: rawAnswers.length ? toJSON(rawAnswers) : null,
+      results: results.length ? toJSON(results.map(({ rawAnswer, ...result }) => result)) : null,
+      reply: entry.reply || null,
+      language: entry.language || null,
+      cached: entry.cached ? 1 : 0,
+      latencyMs: entry.latencyMs ?? null,
+      error: entry.error || null
+    });
+  } catch (error) {
+    console.error("❌ Could not write to audit log:", error.message);
+  }
+}
+
+// The sender's latest checks that produced a verdict, newest first
+export function getRecentChecks(sender, limit = 5) {
+  if (!db) return [];
+
+  try {
+    return db.prepare(`
+      SELECT created_at AS createdAt, input_type AS inputType, summary, verdict
+      FROM checks
+      WHERE sender_hash = ? AND verdict IS NOT NULL
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(hashSender(sender), limit);
+  } catch (error) {
+    console.error("❌ Could not read audit log:", error.message);
+    return [];
+  }
+}
+
+// Value at the given percentile (0-100) of latency_ms among the matching checks, or null
+function latencyPercentile(since, count, percentile) {
+  if (count === 0) return null;
+  const offset = Math.min(count - 1, Math.floor((percentile / 100) * count));
+  return db.prepare(`
+    SELECT latency_ms AS latencyMs FROM checks
+    WHERE created_at >= ? AND latency_ms IS NOT NULL
+    ORDER BY latency_ms
+    LIMIT 1 OFFSET ?
+  `).get(since, offset)?.latencyMs ?? null;
+}
+
+// Totals, verdict and input-type breakdowns, error rate and latency percentiles for checks since `since`
+export function getCheckStats(since) {
+  if (!db) return null;
+
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS checks,
+      COUNT(DISTINCT sender_hash) AS senders,
+      SUM(error IS NOT NULL) AS errors,
+      SUM(cached) AS cached,
+      COUNT(latency_ms) AS timed
+    FROM checks WHERE created_at >= ?
+  `).get(since);
+  const countBy = column => Object.fromEntries(db.prepare(`
+    SELECT ${column} AS name, COUNT(*) AS count FROM checks
+    WHERE created_at >= ? AND ${column} IS NOT NULL
+    GROUP BY ${column} ORDER BY count DESC
+  `).all(since).map(({ name, count }) => [name, count]));
+
+  return {
+    checks: totals.checks,
+    senders: totals.senders,
+    errors: totals.errors || 0,
+    errorRate: totals.checks > 0 ? (totals.errors || 0) / totals.checks : 0,
+    cached: totals.cached || 0,
+    verdicts: countBy("verdict"),
+    inputTypes: countBy("input_type"),
+    latencyMs: {
+      p50: latencyPercentile(since, totals.timed, 50),
+      p90: latencyPercentile(since, totals.timed, 90),
+      p99: latencyPercentile(since, totals.timed, 99)
+    }
+  };
+}
+
+// Most-checked content since `since`, grouped by cache key so copies of the same forward count together
+export function getTopClaims(since, limit = 10) {
+  if (!db) return [];
+
+  return db.prepare(`
+    SELECT content_key AS contentKey,
+      COUNT(*) AS checks,
+      COUNT(DISTINCT sender_hash) AS senders,
+      MAX(created_at) AS lastCheckedAt,
+      (SELECT summary FROM checks latest WHERE latest.content_key = checks.content_key ORDER BY id DESC LIMIT 1) AS summary,
+      (SELECT verdict FROM checks latest WHERE latest.content_key = checks.content_key ORDER BY id DESC LIMIT 1) AS verdict,
+      GROUP_CONCAT(DISTINCT input_type) AS inputTypes
+    FROM checks
+    WHERE created_at >= ? AND content_key IS NOT NULL
+    GROUP BY content_key
+    ORDER BY senders DESC, checks DESC
+    LIMIT ?
+  `).all(since, limit);
+}
+
+// Most-shared links since `since`
+export function getTopUrls(since, limit = 10) {
+  if (!db) return [];
+
+  return db.prepare(`
+    SELECT link.value AS url, COUNT(*) AS checks, COUNT(DISTINCT sender_hash) AS senders, MAX(created_at) AS lastCheckedAt
+    FROM checks, json_each(checks.urls) AS link
+    WHERE created_at >= ? AND checks.urls IS NOT NULL
+    GROUP BY link.value
+    ORDER BY senders DESC, checks DESC
+    LIMIT ?
+  `).all(since, limit);
+}
+
+// Delete entries older than AUDIT_RETENTION_DAYS
+export function pruneAuditLog() {
+  if (!db || !(RETENTION_DAYS > 0)) return 0;
+
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+    const { changes } = db.prepare("DELETE FROM checks WHERE created_at < ?").run(cutoff);
+    if (changes > 0) {
+      console.log(`🗄️ Pruned ${changes} audit log entries older than ${RETENTION_DAYS} days`);
+    }
+    return changes;
+  } catch (error) {
+    console.error("❌ Could not prune audit log:", error.message);
+    return 0;
+  }
+}
+
+if (db) {
+  pruneAuditLog();
+  setInterval(pruneAuditLog, PRUNE_INTERVAL_MS).unref();
+}
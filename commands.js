@@ -0,0 +1,46 @@
+import { LANGUAGE_NAMES, normalizeLanguageCode } from "./i18n.js";
+import { ALERT_TOPICS } from "./subscriptions.js";
+
+// Recognising commands such as MORE or LANG hi. A message is a command only when it is the keyword on
+// its own or the keyword plus an argument it accepts, so a claim that happens to start with "New" or
+// "More" is still fact-checked.
+
+// A language code ("hi", "hi-IN") or English name ("Hindi") as one of our languages, or null
+export function languageFromArgument(argument) {
+  if (!argument) return null;
+  return normalizeLanguageCode(argument) ||
+    Object.keys(LANGUAGE_NAMES).find(code => LANGUAGE_NAMES[code].toLowerCase() === argument.toLowerCase()) ||
+    null;
+}
+
+const noArgument = argument => argument === "";
+// WRONG 2 and FOLLOW 2 pick one claim of the last check
+const claimNumber = argument => /^\d+$/.test(argument);
+const alertTopic = argument => ALERT_TOPICS.includes(argument.toLowerCase());
+
+// What each keyword accepts after it
+const COMMAND_ARGUMENTS = {
+  MORE: noArgument,
+  FULL: noArgument,
+  NEW: noArgument,
+  // LANG on its own lists the languages
+  LANG: argument => argument === "" || languageFromArgument(argument) !== null,
+  HISTORY: noArgument,
+  WRONG: argument => argument === "" || claimNumber(argument),
+  FOLLOW: argument => argument === "" || claimNumber(argument) || alertTopic(argument),
+  // UNFOLLOW on its own lists the topics
+  UNFOLLOW: argument => argument === "" || alertTopic(argument),
+  // STOP deletes every subscription, so nothing but the bare keyword counts
+  STOP: noArgument
+};
+
+// { keyword, argument } when the whole message is a command, else null (the message gets fact-checked)
+export function parseCommand(text) {
+  const match = (text || "").trim().match(/^(\S+)(?:\s+(\S+))?$/);
+  if (!match) return null;
+
+  const keyword = match[1].toUpperCase();
+  const argument = match[2] || "";
+  const accepts = COMMAND_ARGUMENTS[keyword];
+  return accepts && accepts(argument) ? { keyword, argument } : null;
+}
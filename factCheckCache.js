@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import { createStore } from "./keyValueStore.js";
+import { canonicalizeUrl } from "./urlUtils.js";
+import { t } from "./i18n.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Settled verdicts rarely change; unclear ones are worth re-checking soon
+const CONFIRMED_TTL_MS = Number(process.env.CACHE_TTL_HOURS_CONFIRMED || 24 * 7) * HOUR_MS;
+const UNCLEAR_TTL_MS = Number(process.env.CACHE_TTL_HOURS_UNCLEAR || 1) * HOUR_MS;
+
+const cacheStore = createStore(
+  process.env.CACHE_BACKEND || "memory",
+  process.env.CACHE_FILE || "data/fact-check-cache.json",
+  { maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 5000) }
+);
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Lowercase, strip punctuation/emoji and collapse whitespace so trivially
+// different copies of the same forward share one key
+export function normalizeClaimText(text) {
+  return text
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Verdicts are written in the reply language, so the language is part of every key
+export function cacheKeyForText(text, language = "en") {
+  return `text:${language}:${sha256(normalizeClaimText(text))}`;
+}
+
+export function cacheKeyForUrl(url, language = "en") {
+  return `url:${language}:${sha256(canonicalizeUrl(url))}`;
+}
+
+export function cacheKeyForMedia(buffer, language = "en") {
+  return `media:${language}:${sha256(buffer)}`;
+}
+
+function ttlForVerdict(verdict) {
+  if (verdict === "true" || verdict === "false") {
+    return CONFIRMED_TTL_MS;
+  }
+  return UNCLEAR_TTL_MS;
+}
+
+export function getCachedResult(key) {
+  if (!key) return null;
+  const entry = cacheStore.get(key);
+  if (entry) {
+    console.log("💾 Cache hit for", key);
+  }
+  return entry;
+}
+
+// Store a result under every key that identifies the same content
+export function cacheResult(keys, result) {
+  const entry = { ...result, checkedAt: new Date().toISOString() };
+  const ttlMs = ttlForVerdict(result.verdict);
+  for (const key of keys.filter(Boolean)) {
+    cacheStore.set(key, entry, ttlMs);
+  }
+  console.log("💾 Cached result under", keys.filter(Boolean).length, "keys for", Math.round(ttlMs / HOUR_MS), "hours");
+}
+
+export function formatCachedNote(entry, language = "en") {
+  const locale = language === "en" ? "en-GB" : language;
+  const checkedOn = new Date(entry.checkedAt).toLocaleString(locale, {
+    day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit", timeZone: "UTC"
+  });
+  return `🕒 ${t(language, "previously_checked", { date: `${checkedOn} UTC` })}`;
+}
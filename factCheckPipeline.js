@@ -0,0 +1,998 @@
+import { createJobQueue } from "./jobQueue.js";
+import { createProviderChainFromEnv } from "./llmProviders.js";
+import { checkLinkSafety, formatLinkSafety, describeLinkSafetyForPrompt } from "./linkSafety.js";
+import { splitMessage } from "./messageSplitter.js";
+import { getSession, updateSession, resetSession, rememberChecks, getPreferences, setPreference } from "./sessions.js";
+import { t, DEFAULT_LANGUAGE, LANGUAGE_NAMES, detectLanguage } from "./i18n.js";
+import { isFollowUpQuestion, buildFollowUpMessages } from "./followUps.js";
+import { parseCommand, languageFromArgument } from "./commands.js";
+import { VERDICT_SCHEMA, parseVerdictJSON, validateVerdict, unclearVerdictFromText, formatVerdictMessage, formatClaimList, formatClaimSource, formatVerdictHeader, overallVerdict } from "./verdict.js";
+import { describeImageAnalysisForPrompt, formatImageFindings, rememberDebunkedImage } from "./imageAnalysis.js";
+import { mediaKind, extractAttachmentText, videoLimitReason, transcriptionWarning, describeTranscriptionForPrompt, NO_TEXT_MESSAGES } from "./mediaExtraction.js";
+import { getUrlContent } from "./urlContent.js";
+import { extractUrls, stripUrls } from "./urlUtils.js";
+import { followRedirects } from "./safeHttp.js";
+import { AUDIO_MAX_SECONDS } from "./audioProcessing.js";
+import { cacheKeyForText, cacheKeyForUrl, cacheKeyForMedia, getCachedResult, cacheResult, formatCachedNote } from "./factCheckCache.js";
+import { recordCheck, getRecentChecks, isAuditLogEnabled } from "./auditLog.js";
+import { findOverride, reviewReason, queueForReview, addAskerIfPending, overrideToResult, recordVerdictRecipient } from "./reviewQueue.js";
+import { lookupKnownClaims, describeKnownClaimsForPrompt } from "./knownClaims.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { applySourceCredibility, topSources, shortSourceLink } from "./sourceCredibility.js";
+import { isTextToSpeechEnabled, synthesizeSpeech } from "./textToSpeech.js";
+import { ALERT_TOPICS, followClaims, followTopic, unfollowTopic, stopAlerts, claimFollowers, topicSubscribers, claimsDueForRecheck, recordFollowedVerdict, takeAlertSlot, noteMessageFrom, lastMessageTime } from "./subscriptions.js";
+
+// The fact-check pipeline (ingest -> extract -> verify -> format), shared by every channel.
+// Channel adapters turn what they receive into a message of this shape:
+//   channel      name of a registered channel ("whatsapp", "telegram", "web"), which delivers the replies
+//   id           the channel's message id, so a redelivered webhook is only checked once (optional)
+//   sender       who sent it, unique across channels ("whatsapp:+91…", "telegram:12345"); keys sessions and the audit log
+//   replyTo      where the channel sends later messages, e.g. { to, from } for WhatsApp or { chatId } for Telegram
+//   text         the message text or media caption
+//   attachments  [{ number, contentType, ... }], fetched with the channel's downloadAttachment
+//   language     a reply language chosen for this one message, ahead of LANG and detection (optional)
+// Replies are plain text; each channel splits them to its own length limit.
+
+// channel: { name, maxMessageLength, conversational, canDownloadMedia(), downloadAttachment(attachment),
+// canSend(), send(replyTo, text), canSendVoice(), sendVoice(replyTo, oggOpusBuffer), replyWindowMs,
+// canSendTemplate(), sendTemplate(replyTo, text) }. Channels that can't message people later leave out send,
+// and those without voice notes leave out sendVoice. replyWindowMs is set by channels that only take
+// free-form messages that long after the person's last one; later alerts need sendTemplate.
+// conversational channels get follow-up answers and commands like MORE and WRONG.
+const channels = new Map();
+
+export function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+function channelFor(message) {
+  const channel = channels.get(message.channel);
+  if (!channel) {
+    throw new Error(`Unknown channel: ${message.channel}`);
+  }
+  return channel;
+}
+
+// LLM providers (Perplexity first by default), tried in order with failover
+const llm = createProviderChainFromEnv();
+
+console.log("LLM providers initialized:", llm.names.join(" → "));
+
+const MEDIA_CONCURRENCY = Number(process.env.MEDIA_CONCURRENCY || 2);
+const MAX_LINKS = Number(process.env.MAX_LINKS || 5);
+const LINK_CONCURRENCY = Number(process.env.LINK_CONCURRENCY || 3);
+
+// Clean text for TTS by removing markdown and references
+function cleanTextForTTS(text) {
+  return text
+    // Remove markdown bold/italic formatting
+    .replace(/\*\*(.*?)\*\*/g, '$1')  // Remove **bold**
+    .replace(/\*(.*?)\*/g, '$1')      // Remove *italic*
+    .replace(/__(.*?)__/g, '$1')      // Remove __bold__
+    .replace(/_(.*?)_/g, '$1')        // Remove _italic_
+    // Remove reference brackets like [1], [2], [1][3], etc.
+    .replace(/\[\d+\](\[\d+\])*/g, '')
+    // Remove extra whitespace
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const VOICE_REPLY_MAX_CHARS = Number(process.env.VOICE_REPLY_MAX_CHARS || 700);
+
+// What the voice reply says: the verdict and why (or each claim's verdict for several claims),
+// without evidence lists, links, notes or emoji, cut at a sentence end if it runs long
+function spokenVerdict(results, language) {
+  const lines = results.length === 1
+    ? [formatVerdictHeader(results[0], language), results[0].claim_summary, results[0].explanation]
+    : [
+      formatVerdictHeader({ verdict: overallVerdict(results) }, language),
+      ...results.map((result, index) => `${index + 1}. ${formatVerdictHeader(result, language)}: ${result.claim_summary || t(language, "claim")}`)
+    ];
+  const text = cleanTextForTTS(lines
+    .map(line => (line || "").replace(/[\p{Extended_Pictographic}\uFE0F]/gu, "").trim())
+    .filter(Boolean)
+    .map(line => /[.!?।]$/.test(line) ? line : `${line}.`)
+    .join(" "));
+  if (text.length <= VOICE_REPLY_MAX_CHARS) return text;
+
+  const cut = text.slice(0, VOICE_REPLY_MAX_CHARS);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "), cut.lastIndexOf("। "));
+  return sentenceEnd > 0 ? cut.slice(0, sentenceEnd + 1) : cut;
+}
+
+// Plain reply text for every channel: markdown and reference numbers removed.
+// Escaping for the channel's own format (TwiML, HTML, JSON) is left to the channel.
+function cleanReplyText(text) {
+  return text
+    // Clean up markdown formatting first
+    .replace(/\*\*(.*?)\*\*/g, '$1')  // Remove **bold**
+    .replace(/\*(.*?)\*/g, '$1')      // Remove *italic*
+    .replace(/- \*\*(.*?)\*\*/g, '• $1') // Convert bullet points
+    .replace(/\[([\d,\[\]]+)\]/g, '')  // Remove reference numbers like [1][2][4][7]
+    .replace(/\n\s*\n\s*\n/g, '\n\n') // Clean up excessive newlines
+    // Remove control characters but keep normal quotes and apostrophes
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .trim();
+}
+
+const buildFactCheckSystemPrompt = (languageName) => `You are an expert fact-checker detecting misinformation and scams. Your responses must:
+
+1. ALWAYS write every text field in ${languageName}, regardless of the input language. Keep the JSON field names and verdict values in English.
+2. Respond with a single JSON object and nothing else, with these fields:
+   - "verdict": one of "true", "false", "partially_true", "unclear"
+       "true" for true, factual, completely accurate information
+       "false" for false, misleading, fabricated, scam, or completely inaccurate information
+       "partially_true" for mixed accuracy, partially correct, or information that needs context
+       "unclear" only when there is not enough evidence either way
+   - "confidence": number from 0 to 1 for how sure you are of the verdict
+   - "claim_summary": one sentence stating the claim being checked
+   - "explanation": why the claim is true, false, or partially accurate, with key details and background
+   - "evidence": 2-4 short bullet strings of specific supporting or contradicting evidence (dates, facts, who said what)
+   - "sources": URLs of the sources you relied on
+
+3. For content from URLs (Instagram, YouTube, websites):
+   - Summarize what the content claims in "claim_summary"
+   - Fact-check those specific claims with evidence and context
+
+4. Language handling:
+   - If the input is in a different language than ${languageName}, understand it in its original language and answer in ${languageName}
+
+5. Keep "explanation" plus "evidence" under 1200 characters total
+6. Use simple language without technical jargon or reference numbers like [1][2]
+7. Be definitive in your assessment when evidence is clear`;
+
+// Ask the LLM provider chain to fact-check content, with optional extra context (e.g. link safety).
+// Returns a validated verdict object tagged with the provider that produced it;
+// malformed answers get one repair attempt.
+async function factCheckWithLLM(content, extraContext = "", language = DEFAULT_LANGUAGE) {
+  console.log("🔄 Querying LLM providers...");
+  console.log("📝 Message being sent for fact-check:", content.substring(0, 200) + "...");
+
+  const messages = [
+    { role: "system", content: buildFactCheckSystemPrompt(LANGUAGE_NAMES[language]) },
+    { role: "user", content: `Please fact-check this content. If it's from Instagram, YouTube, or website, provide a summary and fact-check. Answer in ${LANGUAGE_NAMES[language]}.${extraContext ? ` ${extraContext}` : ""} Content to analyze: ${content}` }
+  ];
+
+  let answer = "";
+  let provider = null;
+  let citations = [];
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const response = await llm.complete({ messages, schema: VERDICT_SCHEMA });
+    answer = response.text;
+    provider = `${response.provider}/${response.model}`;
+    citations = response.citations;
+    console.log(`✅ ${provider} Response:`, answer.substring(0, 300) + "...");
+    console.log("📊 Response length:", answer.length);
+
+    const { valid, value, errors } = validateVerdict(parseVerdictJSON(answer));
+    if (valid) {
+      // The pages the provider searched count as sources too, and decide how far the verdict can be trusted
+      return applySourceCredibility({ ...value, provider, rawAnswer: answer }, citations);
+    }
+
+    console.log(`⚠️ Malformed verdict from ${provider}:`, errors.join("; "));
+    messages.push(
+      { role: "assistant", content: answer },
+      { role: "user", content: `Your answer did not match the required JSON format: ${errors.join("; ")}. Reply again with only the corrected JSON object.` }
+    );
+  }
+
+  console.log("❌ No valid verdict after repair attempt, marking as unclear");
+  return applySourceCredibility({ ...unclearVerdictFromText(answer || t(language, "no_answer")), provider, rawAnswer: answer }, citations);
+}
+
+const MAX_SOURCES_SHOWN = Number(process.env.MAX_SOURCES_SHOWN || 3);
+
+// The most credible sources behind the verdicts as short links, marked when a domain is on a credibility list
+function formatSourceList(results, language) {
+  const sources = topSources(results, MAX_SOURCES_SHOWN);
+  if (sources.length === 0) return "";
+  const lines = sources.map(source => `• ${shortSourceLink(source.url)}${source.tier ? ` (${t(language, `source_${source.tier}`)})` : ""}`);
+  return `🔗 ${t(language, "sources_title")}:\n${lines.join("\n")}`;
+}
+
+const MAX_CLAIMS = Number(process.env.MAX_CLAIMS || 5);
+const CLAIM_CONCURRENCY = Number(process.env.CLAIM_CONCURRENCY || 2);
+const CLAIM_EXTRACTION_MIN_CHARS = Number(process.env.CLAIM_EXTRACTION_MIN_CHARS || 300);
+
+const CLAIMS_SCHEMA = {
+  type: "object",
+  properties: {
+    claims: { type: "array", items: { type: "string" } }
+  },
+  required: ["claims"]
+};
+
+// Split long forwards and transcripts into separate checkable claims.
+// Short messages, and any failure here, fall back to checking the content as one claim
+// (or to `fallback`, e.g. [] for a caption that may be nothing more than "is this true?").
+async function extractClaims(content, { minChars = CLAIM_EXTRACTION_MIN_CHARS, fallback = [content] } = {}) {
+  if (content.length < minChars) {
+    return fallback;
+  }
+
+  try {
+    console.log("🧩 Extracting individual claims...");
+    const response = await llm.complete({
+      tier: "light",
+      schema: CLAIMS_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content: `You split messages into separate factual claims that can each be fact-checked on their own. Ignore greetings, opinions, calls to action ("forward this to 10 people") and questions. Rewrite each claim as one self-contained sentence in the original language. Return at most ${MAX_CLAIMS} claims, most important first, as JSON: {"claims": ["..."]}`
+        },
+        { role: "user", content }
+      ]
+    });
+
+    const parsed = parseVerdictJSON(response.text);
+    const claims = Array.isArray(parsed?.claims)
+      ? parsed.claims.filter(claim => typeof claim === "string" && claim.trim()).map(claim => claim.trim())
+      : [];
+    console.log(`🧩 Found ${claims.length} claims`);
+    return claims.length > 0 ? claims.slice(0, MAX_CLAIMS) : fallback;
+  } catch (error) {
+    console.error("❌ Claim extraction failed, checking content as a whole:", error.message);
+    return fallback;
+  }
+}
+
+// Claims from a message made of several parts (caption and attachments), each tagged with the part it came from.
+// A single part is split exactly like a plain text message.
+async function extractClaimsFromSections(sections, content) {
+  if (sections.length <= 1) {
+    return (await extractClaims(content)).map(text => ({ text }));
+  }
+
+  const perSection = await mapWithConcurrency(sections, CLAIM_CONCURRENCY, async section => {
+    const options = section.source.type === "caption" ? { minChars: 0, fallback: [] } : {};
+    const claims = await extractClaims(section.text, options);
+    return claims.map(text => ({ text, source: section.source }));
+  });
+  const claims = perSection.flat().slice(0, MAX_CLAIMS);
+  return claims.length > 0 ? claims : [{ text: content }];
+}
+
+// The results for claims read from one attachment: those tagged with it, or all of them when the attachment
+// was the only thing checked
+function resultsFromAttachment(results, sections, number) {
+  const isAttachment = source => source?.type === "attachment" && source.number === number;
+  if (sections.length === 1) {
+    return isAttachment(sections[0].source) ? results : [];
+  }
+  return results.filter(result => isAttachment(result.source));
+}
+
+// The human reviewer's verdict for the text, else a known claim it strongly matches, as a result; or null
+function curatedResult(text) {
+  if (!text) return null;
+  return findOverride(text) || lookupKnownClaims(text).result;
+}
+
+// Run the whole fact-check pipeline for one incoming message and return the reply text.
+// Unexpected errors are thrown so the job queue can retry them.
+// audit is filled in along the way with what was checked and the outcome, for the audit log
+async function buildFactCheckReply(message, audit = {}) {
+  const channel = channelFor(message);
+  let userMessage = message.text?.trim();
+  const caption = userMessage || "";
+  const attachments = message.attachments || [];
+  let cacheKey = null; // Identifies the original input (media hash or URL) in the result cache
+  let cached = null;
+  let sections = []; // The caption and each readable attachment, checked together as one message
+  let skippedAttachments = []; // { number, reason } for attachments we couldn't download or read
+  let imageReports = []; // { number, report } from reverse image search, hashing and metadata checks
+  let transcriptionWarnings = []; // From transcriptionWarning, for voice notes and videos
+
+  // Reply in the language chosen for this message or by the sender (LANG command), otherwise in the language
+  // they wrote or spoke in. Cached verdicts are keyed by the chosen language, or "auto" when it was detected.
+  const preferredLanguage = message.language || getPreferences(message.sender).language || null;
+  const cacheLanguage = preferredLanguage || "auto";
+  let language = preferredLanguage || detectLanguage(stripUrls(userMessage)) || DEFAULT_LANGUAGE;
+  const detectedLanguage = (...candidates) => {
+    if (!preferredLanguage) {
+      language = candidates.find(Boolean) || language;
+    }
+  };
+
+  const attachmentKinds = [...new Set(attachments.map(attachment => mediaKind(attachment.contentType) || "other"))];
+  audit.inputType = attachmentKinds.length === 0 ? "text" : attachmentKinds.length === 1 ? attachmentKinds[0] : "mixed";
+  audit.language = language;
+  audit.text = caption;
+
+  console.log("Processing message:", userMessage, "Attachments:", attachments.map(attachment => attachment.contentType), "Language:", language);
+
+  // 📎 Step 1: Turn every attachment into text (speech-to-text for audio, OCR for images, both for videos,
+  // the text layer for PDFs) and merge it with the caption
+  if (attachments.length > 0) {
+    console.log(`Processing ${attachments.length} attachment(s)...`);
+    const readable = attachments.filter(attachment => mediaKind(attachment.contentType));
+    skippedAttachments = attachments.filter(attachment => !mediaKind(attachment.contentType)).map(attachment => ({ number: attachment.number }));
+    if (readable.length === 0 && !caption) {
+      return t(language, "media_unsupported");
+    }
+
+    // Check the channel can download media (e.g. Twilio credentials are configured)
+    if (readable.length > 0 && !channel.canDownloadMedia()) {
+      return t(language, `${mediaKind(readable[0].contentType)}_not_configured`);
+    }
+
+    const downloads = await mapWithConcurrency(readable, MEDIA_CONCURRENCY, async attachment => {
+      try {
+        return { ...attachment, kind: mediaKind(attachment.contentType), buffer: await channel.downloadAttachment(attachment) };
+      } catch (error) {
+        console.error(`Attachment ${attachment.number} download error:`, error.message);
+        skippedAttachments.push({ number: attachment.number });
+        return null;
+      }
+    });
+    const downloaded = downloads.filter(Boolean);
+    if (downloaded.length === 0 && !caption) {
+      return t(language, `${mediaKind(readable[0].contentType)}_error`);
+    }
+
+    // The same files with the same caption give the same cache key
+    if (downloaded.length > 0) {
+      cacheKey = cacheKeyForMedia(Buffer.concat([...downloaded.map(attachment => attachment.buffer), Buffer.from(caption)]), cacheLanguage);
+      cached = getCachedResult(cacheKey);
+    }
+    if (cached) {
+      userMessage = cached.userMessage;
+      skippedAttachments = cached.skippedAttachments || skippedAttachments;
+      imageReports = cached.imageReports || [];
+      transcriptionWarnings = cached.transcriptionWarnings || [];
+    } else if (downloaded.length > 0) {
+      const extracted = await mapWithConcurrency(downloaded, MEDIA_CONCURRENCY, async attachment => {
+        const { text, languageHint, error, imageAnalysis, transcription } = await extractAttachmentText(attachment.kind, attachment.buffer, attachment.contentType);
+        console.log(`Extracted text from attachment ${attachment.number} (${attachment.kind}):`, text);
+        return { ...attachment, text: (text || "").trim(), languageHint, error, imageAnalysis, transcription };
+      });
+      transcriptionWarnings = extracted
+        .filter(attachment => attachment.transcription)
+        .map(attachment => transcriptionWarning(attachment.number, attachment.transcription))
+        .filter(Boolean);
+      imageReports = extracted
+        .filter(attachment => attachment.imageAnalysis)
+        .map(attachment => ({ number: attachment.number, report: attachment.imageAnalysis }));
+      for (const attachment of extracted.filter(attachment => !attachment.text)) {
+        skippedAttachments.push({ number: attachment.number, reason: videoLimitReason(attachment.error) });
+      }
+      const attachmentSections = extracted
+        .filter(attachment => attachment.text)
+        .map(attachment => ({ text: attachment.text, source: { type: "attachment", number: attachment.number, kind: attachment.kind } }));
+
+      if (attachmentSections.length === 0 && !caption) {
+        const [failed] = extracted;
+        const reason = videoLimitReason(failed.error);
+        if (reason) {
+          return `${t(language, "video_rejected")} ${t(language, reason.key, reason.params)}`;
+        }
+        if (failed.error) {
+          return t(language, failed.error === "not_configured" ? "video_not_configured" : "video_error");
+        }
+        return t(language, NO_TEXT_MESSAGES[failed.kind]);
+      }
+      detectedLanguage(...extracted.map(attachment => attachment.languageHint), detectLanguage(attachmentSections.map(section => section.text).join("\n")));
+
+      sections = caption ? [{ text: caption, source: { type: "caption" } }, ...attachmentSections] : attachmentSections;
+      userMessage = sections.length === 1
+        ? sections[0].text
+        : sections.map(section => `${formatClaimSource(section.source, language)}\n${section.text}`).join("\n\n");
+    }
+    skippedAttachments.sort((a, b) => a.number - b.number);
+  }
+
+  if (!userMessage) {
+    return t(language, "empty_message");
+  }
+
+  // Step 2: Check every link - follow redirects and shorteners to where each one really leads, check that
+  // destination's reputation, and read the pages
+  let linkReports = []; // From checkLinkSafety, one per link
+  let skippedLinks = []; // { number, host } for links whose page we couldn't read
+  const urls = cached ? [] : extractUrls(userMessage).slice(0, MAX_LINKS);
+  // Links inside a message with several parts are only safety-checked; the merged text is what gets fact-checked
+  const readLinks = urls.length > 0 && sections.length <= 1;
+  audit.urls = urls;
+  if (urls.length > 0 && attachments.length === 0) {
+    audit.inputType = "url";
+  }
+  if (readLinks) {
+    cacheKey = urls.length === 1 ? cacheKeyForUrl(urls[0], cacheLanguage) : cacheKeyForText(userMessage, cacheLanguage);
+    cached = getCachedResult(cacheKey);
+  } else if (!cached) {
+    cached = getCachedResult(cacheKeyForText(userMessage, cacheLanguage));
+  }
+
+  if (cached) {
+    userMessage = cached.userMessage;
+    linkReports = cached.linkReports || (cached.linkSafety ? [cached.linkSafety] : []);
+    skippedLinks = cached.skippedLinks || [];
+  } else if (urls.length > 0) {
+    console.log(`Found ${urls.length} link(s):`, urls);
+    // A bare link gives no hint of the sender's language, so fall back to the page's
+    const senderWroteText = stripUrls(userMessage).length > 0;
+    try {
+      const links = await mapWithConcurrency(urls, LINK_CONCURRENCY, url => followRedirects(url));
+      const [reports, pages] = await Promise.all([
+        mapWithConcurrency(links, LINK_CONCURRENCY, link => checkLinkSafety(link.finalUrl, { sharedUrl: link.url, redirects: link.redirects })),
+        readLinks ? mapWithConcurrency(links, LINK_CONCURRENCY, link => getUrlContent(link.finalUrl)) : []
+      ]);
+      linkReports = reports.filter(Boolean);
+
+      if (readLinks) {
+        const linkSections = [];
+        links.forEach((link, index) => {
+          const host = new URL(link.finalUrl).hostname.replace(/^www\./, "");
+          if (pages[index]) {
+            linkSections.push({ text: pages[index], source: { type: "link", number: index + 1, host } });
+          } else {
+            skippedLinks.push({ number: index + 1, host });
+          }
+        });
+
+        if (linkSections.length === 0) {
+          console.log("❌ No content could be extracted from the link(s)");
+          // Tell the user we couldn't read the link, but still say where it leads and how safe it looks
+          const safetyNote = linkReports.map(report => cleanReplyText(formatLinkSafety(report, language))).join("\n");
+          return `${t(language, "url_error")}${safetyNote ? `\n\n${safetyNote}` : ""}`;
+        }
+        if (!senderWroteText) {
+          detectedLanguage(detectLanguage(linkSections.map(section => section.text).join("\n")));
+        }
+
+        // One readable link replaces the message with its page; several are checked together like attachments
+        if (linkSections.length === 1) {
+          userMessage = linkSections[0].text;
+        } else {
+          sections = linkSections;
+          userMessage = sections.map(section => `${formatClaimSource(section.source, language)}\n${section.text}`).join("\n\n");
+        }
+        console.log("✅ Using page content as user message:", userMessage.substring(0, 200));
+      }
+    } catch (error) {
+      console.error("❌ Error checking links:", error.message);
+      // Continue with the original message if the link checks fail
+    }
+  } else {
+    console.log("📝 No URL found in message, processing as regular text");
+  }
+
+  if (cached?.language) {
+    detectedLanguage(cached.language);
+  }
+
+  // Step 3: Split into claims and fact-check each with the LLM providers (or reuse earlier verdicts for the same content)
+  // A human reviewer's verdict or a curated known claim, for the whole message or for a claim in it,
+  // always wins and saves the model calls. Known claims that are only similar go to the model as context.
+  let results;
+  const messageOverride = curatedResult(userMessage);
+  if (messageOverride) {
+    results = [messageOverride];
+    console.log(`📚 Using the verdict from the ${messageOverride.provider} for this message`);
+  } else if (cached) {
+    results = cached.results.map(result => {
+      const override = curatedResult(result.checkedText);
+      return override ? { ...override, source: result.source } : result;
+    });
+    console.log("💾 Reusing cached fact-check from", cached.checkedAt);
+  } else {
+    const claims = await extractClaimsFromSections(sections, userMessage);
+    const extraContext = [
+      ...linkReports.map(describeLinkSafetyForPrompt),
+      sections.length > 1 && caption ? `The sender wrote this alongside the attachments: "${caption}".` : "",
+      ...imageReports.map(({ number, report }) => describeImageAnalysisForPrompt(report, `attachment ${number}`)),
+      ...transcriptionWarnings.map(describeTranscriptionForPrompt)
+    ].filter(Boolean).join(" ");
+    results = await mapWithConcurrency(claims, CLAIM_CONCURRENCY, async claim => {
+      const override = findOverride(claim.text);
+      const known = override ? null : lookupKnownClaims(claim.text);
+      const context = [extraContext, known && describeKnownClaimsForPrompt(known.related)].filter(Boolean).join(" ");
+      const result = override || known.result || { ...await factCheckWithLLM(claim.text, context, language), checkedText: claim.text };
+      return claim.source ? { ...result, source: claim.source } : result;
+    });
+    cacheResult([cacheKey, cacheKeyForText(userMessage, cacheLanguage)], {
+      userMessage,
+      results,
+      linkReports,
+      skippedLinks,
+      skippedAttachments,
+      imageReports,
+      transcriptionWarnings,
+      language,
+      verdict: overallVerdict(results)
+    });
+  }
+  rememberChecks(message.sender, results, language);
+
+  // Unclear and low-confidence verdicts go to the human review queue. Everyone asking about a claim
+  // that is waiting for review hears back when it is resolved, on channels that can message them later,
+  // and so does everyone given a verdict a reviewer later changes.
+  const asker = channel.send ? { sender: message.sender, channel: channel.name, replyTo: message.replyTo, language } : {};
+  for (const result of results.filter(result => result.checkedText)) {
+    if (asker.sender) {
+      recordVerdictRecipient({ ...asker, text: result.checkedText, verdict: result.verdict });
+    }
+    const reason = reviewReason(result);
+    if (reason) {
+      queueForReview({ ...asker, text: result.checkedText, result, reason });
+    } else if (asker.sender) {
+      addAskerIfPending({ ...asker, text: result.checkedText });
+    }
+  }
+
+  Object.assign(audit, {
+    contentKey: cacheKey || cacheKeyForText(userMessage, cacheLanguage),
+    text: userMessage,
+    results,
+    verdict: overallVerdict(results),
+    language,
+    cached: Boolean(cached)
+  });
+
+  // Images whose own claims were all found false are remembered, so later forwards of them are recognised.
+  // A false caption on an authentic photo says nothing about the photo, so only the image's text counts.
+  if (!cached) {
+    for (const { number, report } of imageReports.filter(({ report }) => report.hash && !report.knownMatch)) {
+      const imageResults = resultsFromAttachment(results, sections, number);
+      if (imageResults.length > 0 && imageResults.every(result => result.verdict === "false")) {
+        rememberDebunkedImage(report.hash, {
+          claim: imageResults[0].claim_summary,
+          explanation: imageResults[0].explanation,
+          sources: imageResults[0].sources
+        });
+      }
+    }
+  }
+
+  // Step 4: Render the verdict, formatted for the input type. For audio and video input the transcribed
+  // text is echoed above the verdict; text, URL, image and PDF input get the verdict on its own.
+  const isAudioInput = attachments.some(attachment => ["audio", "video"].includes(mediaKind(attachment.contentType)));
+  const verdictMessage = results.length === 1
+    ? formatVerdictMessage(results[0], language)
+    : formatClaimList(results, language);
+  let finalResponse = isAudioInput
+    ? `📝 *${t(language, "your_message")}:* "${cleanReplyText(userMessage)}"\n\n${verdictMessage}`
+    : verdictMessage;
+
+  // Step 5: People who sent a voice note or video also get the verdict spoken back, on channels that can send one
+  if (isAudioInput) {
+    audit.voiceText = spokenVerdict(results, language);
+  }
+
+  // Step 6: Sanitize the text reply and add the notes
+  console.log(`📝 Sending text response for ${attachments.length > 0 ? `${attachments.length} attachment(s)` : "text"} input`);
+  console.log("📤 Final response being sent:", finalResponse.substring(0, 200) + "...");
+  console.log("📤 Response length:", finalResponse.length);
+  finalResponse = cleanReplyText(finalResponse);
+
+  // Skipped attachments, image findings, transcription warnings, link safety, provider and cache notes
+  // go at the very end, after the analysis, and the sources last of all
+  const providers = [...new Set(results.map(result => result.provider).filter(Boolean))];
+  const footer = [
+    ...skippedAttachments.map(({ number, reason }) =>
+      [t(language, "attachment_skipped", { number }), reason ? t(language, reason.key, reason.params) : ""].filter(Boolean).join(" ")),
+    ...imageReports.flatMap(({ report }) => formatImageFindings(report, language)).map(cleanReplyText),
+    ...transcriptionWarnings.flatMap(warning => {
+      const prefix = attachments.length > 1 ? `${t(language, "attachment_label", { number: warning.number })}: ` : "";
+      return [
+        warning.confidence !== null ? `⚠️ ${prefix}${t(language, "transcription_uncertain", { percent: Math.round(warning.confidence * 100) })}` : "",
+        warning.truncated ? `✂️ ${prefix}${t(language, "audio_truncated", { minutes: Math.round(AUDIO_MAX_SECONDS / 60) })}` : ""
+      ];
+    }),
+    ...skippedLinks.map(({ number, host }) => t(language, "link_unreadable", { number, host })),
+    ...linkReports.map(report => cleanReplyText(formatLinkSafety(report, language))),
+    results.some(result => result.downgraded) ? `⚠️ ${t(language, "low_credibility_downgrade")}` : "",
+    providers.length > 0 ? `🤖 ${t(language, "checked_with", { providers: providers.join(", ") })}` : "",
+    // Unclear verdicts often settle once news catches up, so offer to follow them
+    overallVerdict(results) === "unclear" && channel.conversational && channel.canSend() ? t(language, "follow_hint") : "",
+    cached ? formatCachedNote(cached, language) : "",
+    formatSourceList(results, language)
+  ].filter(Boolean).join("\n");
+
+  if (footer) {
+    finalResponse = `${finalResponse}\n\n${footer}`;
+  }
+  console.log("📤 Reply ready");
+
+  return finalResponse;
+}
+
+// Language for replies outside a fact-check: the sender's LANG choice, then the language of
+// what they just wrote, then the language of their last check
+export function replyLanguage(message) {
+  return message.language ||
+    getPreferences(message.sender).language ||
+    detectLanguage(message.text) ||
+    getSession(message.sender).language ||
+    DEFAULT_LANGUAGE;
+}
+
+// Answer a question about the sender's earlier checks, using them as context
+async function answerFollowUp(message, audit = {}) {
+  const question = message.text.trim();
+  const language = replyLanguage(message);
+  const { history } = getSession(message.sender);
+  console.log("💬 Answering follow-up question:", question);
+
+  const response = await llm.complete({ messages: buildFollowUpMessages(history, question, LANGUAGE_NAMES[language]) });
+  Object.assign(audit, { text: question, language, provider: `${response.provider}/${response.model}`, rawAnswer: response.text });
+  updateSession(message.sender, {}); // a follow-up keeps the session alive
+  const answer = cleanReplyText(response.text || t(language, "no_answer"));
+  return `${answer}\n\n🤖 ${t(language, "answered_with", { provider: `${response.provider}/${response.model}` })}`;
+}
+
+// On conversational channels, follow-up questions about the last check get an answer; anything else is
+// fact-checked. Either way the request, its outcome and how long it took go into the audit log.
+// Returns { reply, language, results, verdict, voiceText }; results and verdict are only set for a fact-check,
+// and voiceText only when the check was of a voice note or video.
+export async function buildReply(message) {
+  const startedAt = Date.now();
+  const text = message.text?.trim();
+  const isFollowUp = channelFor(message).conversational && !(message.attachments?.length > 0) &&
+    isFollowUpQuestion(text, getSession(message.sender));
+  const audit = { inputType: isFollowUp ? "follow_up" : "text" };
+  try {
+    audit.reply = isFollowUp ? await answerFollowUp(message, audit) : await buildFactCheckReply(message, audit);
+    return { reply: audit.reply, language: audit.language, results: audit.results || [], verdict: audit.verdict || null, voiceText: audit.voiceText || null };
+  } catch (error) {
+    audit.error = error.message;
+    throw error;
+  } finally {
+    recordCheck(message.sender, { ...audit, latencyMs: Date.now() - startedAt });
+  }
+}
+
+const MAX_PARTS_PER_REPLY = Number(process.env.MAX_PARTS_PER_REPLY || 3);
+// Room at the end of each part for the "Reply MORE" hint, in the longest language, since LANG can change
+// before the sender asks for MORE
+const MORE_HINT_RESERVE = Math.max(...Object.keys(LANGUAGE_NAMES).map(code =>
+  `\n\n${t(code, "more_parts", { count: 999 })}`.length));
+
+// Split a reply into numbered parts that fit the channel, remember them in the sender's session,
+// and return the parts to send now. The rest are available with MORE.
+export function prepareReplyParts(message, reply, language) {
+  const parts = splitMessage(reply, channelFor(message).maxMessageLength - MORE_HINT_RESERVE);
+  const sendNow = parts.slice(0, MAX_PARTS_PER_REPLY);
+  updateSession(message.sender, { lastCheck: { parts, nextPart: sendNow.length, checkedAt: new Date().toISOString() } });
+
+  if (parts.length > sendNow.length) {
+    sendNow[sendNow.length - 1] += `\n\n${t(language, "more_parts", { count: parts.length - sendNow.length })}`;
+  }
+  return sendNow;
+}
+
+// MORE continues the last check where it stopped; FULL sends it again from the start
+function replyFromLastCheck(sender, command, language) {
+  const { lastCheck } = getSession(sender);
+  if (!lastCheck) {
+    return [t(language, "no_last_check")];
+  }
+
+  const start = command === "FULL" ? 0 : lastCheck.nextPart;
+  if (start >= lastCheck.parts.length) {
+    return [t(language, "last_check_done")];
+  }
+
+  const sendNow = lastCheck.parts.slice(start, start + MAX_PARTS_PER_REPLY);
+  const nextPart = start + sendNow.length;
+  updateSession(sender, { lastCheck: { ...lastCheck, nextPart } });
+
+  if (nextPart < lastCheck.parts.length) {
+    sendNow[sendNow.length - 1] += `\n\n${t(language, "more_parts", { count: lastCheck.parts.length - nextPart })}`;
+  }
+  return sendNow;
+}
+
+const HISTORY_SIZE = 5;
+
+// The sender's last few checks from the audit log, newest first
+function replyWithHistory(sender, language) {
+  if (!isAuditLogEnabled()) {
+    return [t(language, "history_unavailable")];
+  }
+  const checks = getRecentChecks(sender, HISTORY_SIZE);
+  if (checks.length === 0) {
+    return [t(language, "history_empty")];
+  }
+
+  const lines = checks.map((check, index) => {
+    const summary = check.summary && check.summary.length > 100 ? `${check.summary.slice(0, 99)}…` : check.summary;
+    return `${index + 1}. ${formatVerdictHeader(check, language)}: ${cleanReplyText(summary || t(language, "claim"))} (${check.createdAt.slice(0, 10)})`;
+  });
+  return [`📜 ${t(language, "history_title", { count: checks.length })}\n\n${lines.join("\n")}`];
+}
+
+// WRONG sends the sender's last check to the human review queue; WRONG 2 disputes only its second claim
+function disputeLastCheck(message, argument, language) {
+  const lastClaims = (getSession(message.sender).lastClaims || []).filter(check => check.text);
+  if (lastClaims.length === 0) {
+    return [t(language, "no_last_check")];
+  }
+
+  const number = Number(argument);
+  const disputed = Number.isInteger(number) && number >= 1 && number <= lastClaims.length ? [lastClaims[number - 1]] : lastClaims;
+  for (const check of disputed) {
+    const result = { verdict: check.verdict, claim_summary: check.claim, explanation: check.explanation, evidence: check.evidence, sources: check.sources };
+    queueForReview({ text: check.text, result, reason: "disputed", sender: message.sender, channel: message.channel, replyTo: message.replyTo, language });
+  }
+  return [t(language, "wrong_received")];
+}
+
+// FOLLOW subscribes to the claims of the last check (FOLLOW 2 to just its second claim) or to a topic
+// (FOLLOW health); UNFOLLOW health leaves a topic and STOP turns every alert off
+function handleAlertCommand(message, keyword, argument, language) {
+  if (keyword === "STOP") {
+    stopAlerts(message.sender);
+    return [t(language, "stop_done")];
+  }
+  // Alerts are sent later, so the channel has to be able to message people
+  if (!channelFor(message).canSend()) {
+    return [t(language, "alerts_unavailable")];
+  }
+
+  const topic = argument.toLowerCase();
+  const topicList = ALERT_TOPICS.join(", ");
+  if (keyword === "UNFOLLOW") {
+    if (!ALERT_TOPICS.includes(topic)) {
+      return [t(language, "topic_unknown", { topics: topicList })];
+    }
+    unfollowTopic(message.sender, topic);
+    return [t(language, "unfollow_done", { topic })];
+  }
+
+  const recipient = { sender: message.sender, channel: message.channel, replyTo: message.replyTo, language };
+  // Without a template, alerts only reach people who wrote to the bot recently
+  const channel = channelFor(message);
+  const windowNote = channel.replyWindowMs && !channel.canSendTemplate?.()
+    ? `\n\n${t(language, "alerts_window_note", { hours: Math.round(channel.replyWindowMs / 3600000) })}`
+    : "";
+  if (ALERT_TOPICS.includes(topic)) {
+    followTopic(recipient, topic);
+    return [t(language, "follow_topic_added", { topic }) + windowNote];
+  }
+
+  const lastClaims = (getSession(message.sender).lastClaims || []).filter(check => check.text);
+  if (lastClaims.length === 0) {
+    return [t(language, "no_last_check")];
+  }
+  const number = Number(argument);
+  const followed = Number.isInteger(number) && number >= 1 && number <= lastClaims.length ? [lastClaims[number - 1]] : lastClaims;
+  const count = followClaims(recipient, followed);
+  return [t(language, "follow_added", { count }) + windowNote];
+}
+
+// Commands answered straight from the session, without running a fact-check.
+// Returns the reply parts, or null when the message is not a command.
+export function handleCommand(message) {
+  // Every message on a conversational channel comes through here first
+  noteMessageFrom(message.sender);
+  if (message.attachments?.length > 0) return null;
+  const command = parseCommand(message.text);
+  if (!command) return null;
+  const { keyword, argument } = command;
+  const language = replyLanguage(message);
+
+  if (keyword === "MORE" || keyword === "FULL") {
+    return replyFromLastCheck(message.sender, keyword, language);
+  }
+  if (keyword === "WRONG") {
+    return disputeLastCheck(message, argument, language);
+  }
+  if (keyword === "HISTORY") {
+    return replyWithHistory(message.sender, language);
+  }
+  if (keyword === "FOLLOW" || keyword === "UNFOLLOW" || keyword === "STOP") {
+    return handleAlertCommand(message, keyword, argument, language);
+  }
+  if (keyword === "NEW") {
+    resetSession(message.sender);
+    return [t(language, "new_session")];
+  }
+  if (keyword === "LANG") {
+    const chosen = languageFromArgument(argument);
+    if (!chosen) {
+      const available = Object.entries(LANGUAGE_NAMES).map(([code, name]) => `${code} (${name})`).join(", ");
+      return [t(language, "language_unknown", { languages: available })];
+    }
+    setPreference(message.sender, "language", chosen);
+    return [t(chosen, "language_set")];
+  }
+  return null;
+}
+
+// Fact-checks run here, off the webhook request, so the channel gets an answer immediately.
+// Messages are plain data, so with QUEUE_BACKEND=file pending checks survive a restart.
+const factCheckQueue = createJobQueue({
+  name: "fact-check",
+  concurrency: Number(process.env.QUEUE_CONCURRENCY || 2),
+  maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS || 3),
+  persistFile: process.env.QUEUE_BACKEND === "file" ? (process.env.QUEUE_FILE || "data/fact-check-jobs.json") : null,
+  async handler(message, job, saveProgress) {
+    const channel = channelFor(message);
+    // The reply is kept with the job, along with how many parts went out, so a retry after a failed
+    // send only sends the rest instead of checking again and repeating parts
+    let progress = job.progress;
+    if (!progress) {
+      const { reply, language, voiceText } = await buildReply(message);
+      progress = { parts: prepareReplyParts(message, reply, language), sent: 0, language, voiceText };
+      saveProgress(progress);
+    }
+    // One part at a time so they arrive in order
+    for (const part of progress.parts.slice(progress.sent)) {
+      await channel.send(message.replyTo, part);
+      progress = { ...progress, sent: progress.sent + 1 };
+      saveProgress(progress);
+    }
+    if (progress.voiceText) {
+      await sendVoiceReply(channel, message.replyTo, progress.voiceText, progress.language);
+    }
+  },
+  async onFailure(message) {
+    await channelFor(message).send(message.replyTo, t(replyLanguage(message), "general_error"));
+  }
+});
+
+// The spoken verdict, after the text reply. The text has already gone out, so a failure here is logged rather than retried.
+async function sendVoiceReply(channel, replyTo, text, language) {
+  if (!isTextToSpeechEnabled() || !channel.sendVoice || !channel.canSendVoice()) {
+    return;
+  }
+  try {
+    const audio = await synthesizeSpeech(text, language);
+    if (audio) {
+      await channel.sendVoice(replyTo, audio);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to send the voice reply on ${channel.name}:`, error.message);
+  }
+}
+
+// Queue a fact-check whose reply the channel sends later. Returns false for a message already queued
+// (a redelivered webhook with the same id).
+export function checkInBackground(message) {
+  return factCheckQueue.enqueue(message.id || null, message);
+}
+
+// Messages the bot starts itself (reviewed verdicts), delivered one at a time with retries
+const notificationQueue = createJobQueue({
+  name: "notify",
+  concurrency: 1,
+  maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS || 3),
+  persistFile: process.env.QUEUE_BACKEND === "file" ? (process.env.NOTIFICATION_QUEUE_FILE || "data/notification-jobs.json") : null,
+  async handler({ channel, replyTo, text, template }) {
+    if (template) {
+      await channels.get(channel).sendTemplate(replyTo, text);
+    } else {
+      await channels.get(channel).send(replyTo, text);
+    }
+  },
+  async onFailure({ channel }, error) {
+    console.error(`❌ A notification on ${channel} could not be delivered and was dropped:`, error.message);
+  }
+});
+
+// Whether a message the bot starts itself may go out as plain text, given the channel's reply window.
+// `since` is a time the caller knows the person wrote to the bot (e.g. when they asked about a claim).
+function withinReplyWindow(channel, sender, since = null) {
+  if (!channel.replyWindowMs) return true;
+  const lastMessageAt = Math.max(lastMessageTime(sender) ?? 0, since ? Date.parse(since) : 0);
+  return Date.now() - lastMessageAt < channel.replyWindowMs;
+}
+
+// Send an alert the person opted into (FOLLOW), unless they have had their share for today. Outside the
+// channel's reply window it goes out as the channel's template, or not at all without one.
+// Returns "queued", "throttled" or "unavailable" (the channel can't send this message).
+function queueAlert(recipient, text) {
+  const channel = channels.get(recipient.channel);
+  if (!channel?.canSend()) {
+    return "unavailable";
+  }
+  const template = !withinReplyWindow(channel, recipient.sender);
+  if (template && !channel.canSendTemplate?.()) {
+    console.log(`⚠️ Alert not sent on ${recipient.channel} - outside the reply window and no alert template is configured`);
+    return "unavailable";
+  }
+  if (!takeAlertSlot(recipient.sender)) {
+    console.log(`⏳ Alert not sent on ${recipient.channel} - daily alert limit reached`);
+    return "throttled";
+  }
+  const language = recipient.language || DEFAULT_LANGUAGE;
+  const message = cleanReplyText(`${text}\n\n${t(language, "stop_hint")}`);
+  notificationQueue.enqueue(null, { channel: recipient.channel, replyTo: recipient.replyTo, text: message, template });
+  return "queued";
+}
+
+// Tell the followers of a claim its verdict changed, skipping `except` (senders who already heard)
+function notifyFollowers(text, result, except = []) {
+  for (const follower of claimFollowers(text).filter(follower => !except.includes(follower.sender))) {
+    const language = follower.language || DEFAULT_LANGUAGE;
+    queueAlert(follower, `🔔 ${t(language, "verdict_changed")}\n\n${formatVerdictMessage(result, language)}`);
+  }
+}
+
+// Tell everyone who asked about a claim what the human reviewer decided, on the channel they asked on:
+// those waiting for the review, and those who were already given a different verdict for it.
+// People following the claim hear about it too if the verdict changed.
+export function notifyReviewResolved({ override, askers, recipients = [] }) {
+  const result = overrideToResult(override, override.text);
+  const notices = [
+    ...askers.map(asker => ({ person: asker, heading: "review_update", since: asker.askedAt })),
+    ...recipients.map(recipient => ({ person: recipient, heading: "review_verdict_changed", since: recipient.receivedAt }))
+  ];
+  for (const { person, heading, since } of notices) {
+    // Askers queued before there were several channels only have the WhatsApp number they wrote to
+    const channelName = person.channel || "whatsapp";
+    const replyTo = person.replyTo || { to: person.sender, from: person.botNumber };
+    const channel = channels.get(channelName);
+    if (!channel?.canSend()) {
+      console.log(`⚠️ Can't send the reviewed verdict on ${channelName} - the channel is not configured`);
+      continue;
+    }
+    const template = !withinReplyWindow(channel, person.sender, since);
+    if (template && !channel.canSendTemplate?.()) {
+      console.log(`⚠️ Can't send the reviewed verdict on ${channelName} - outside the reply window and no template is configured`);
+      continue;
+    }
+
+    const language = person.language || DEFAULT_LANGUAGE;
+    const text = `🧑‍⚖️ ${t(language, heading)}\n\n${formatVerdictMessage(result, language)}`;
+    notificationQueue.enqueue(null, { channel: channelName, replyTo, text: cleanReplyText(text), template });
+  }
+
+  const previous = recordFollowedVerdict(override.text, result);
+  if (previous && previous !== result.verdict) {
+    notifyFollowers(override.text, result, notices.map(({ person }) => person.sender));
+  }
+}
+
+// Send a moderator's alert to everyone following the topic. Returns how many were reached.
+export function broadcastAlert(topic, text) {
+  const recipients = topicSubscribers(topic);
+  const counts = { recipients: recipients.length, queued: 0, throttled: 0, unavailable: 0 };
+  for (const recipient of recipients) {
+    const language = recipient.language || DEFAULT_LANGUAGE;
+    counts[queueAlert(recipient, `📢 ${t(language, "alert_header", { topic })}\n\n${text}`)]++;
+  }
+  console.log(`📢 Alert for ${topic}: ${counts.queued} queued, ${counts.throttled} throttled`);
+  return counts;
+}
+
+// Followed claims are checked again every FOLLOW_RECHECK_HOURS (0 turns this off). Followers only hear about
+// a change to a settled verdict, so an inconclusive re-check never "changes" a claim back and forth.
+const FOLLOW_RECHECK_HOURS = Number(process.env.FOLLOW_RECHECK_HOURS ?? 6);
+const FOLLOW_RECHECK_BATCH = Number(process.env.FOLLOW_RECHECK_BATCH || 20); // claims per round, to bound model spend
+const SETTLED_CONFIDENCE = 0.7;
+const RECHECK_TICK_MS = 15 * 60 * 1000;
+let recheckRunning = false;
+
+async function recheckFollowedClaims() {
+  if (recheckRunning) return;
+  recheckRunning = true;
+  try {
+    const due = claimsDueForRecheck(FOLLOW_RECHECK_HOURS * 60 * 60 * 1000).slice(0, FOLLOW_RECHECK_BATCH);
+    if (due.length > 0) {
+      console.log(`🔁 Re-checking ${due.length} followed claim(s)...`);
+    }
+    await mapWithConcurrency(due, CLAIM_CONCURRENCY, async item => {
+      try {
+        const language = item.language || DEFAULT_LANGUAGE;
+        const result = curatedResult(item.text) || await factCheckWithLLM(item.text, "", language);
+        const settled = result.verdict !== "unclear" && (result.confidence ?? 1) >= SETTLED_CONFIDENCE;
+        const previous = recordFollowedVerdict(item.text, settled ? result : null);
+        if (settled && previous !== result.verdict) {
+          console.log(`🔔 Followed claim changed from ${previous} to ${result.verdict}`);
+          notifyFollowers(item.text, result);
+        }
+      } catch (error) {
+        console.error("❌ Re-check of a followed claim failed:", error.message);
+      }
+    });
+  } finally {
+    recheckRunning = false;
+  }
+}
+
+if (FOLLOW_RECHECK_HOURS > 0) {
+  setInterval(recheckFollowedClaims, RECHECK_TICK_MS).unref();
+}
@@ -0,0 +1,62 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const run = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const FFMPEG_TIMEOUT_MS = 120000;
+
+// Run ffmpeg and return its stdout as a Buffer (for "-f <format> -" output)
+export async function runFfmpeg(args) {
+  const { stdout } = await run(FFMPEG_PATH, ["-v", "error", ...args], {
+    encoding: "buffer",
+    maxBuffer: 50 * 1024 * 1024,
+    timeout: FFMPEG_TIMEOUT_MS
+  });
+  return stdout;
+}
+
+// Duration and which kinds of streams a media file has
+export async function probeMedia(filePath) {
+  const { stdout } = await run(FFPROBE_PATH, [
+    "-v", "error",
+    "-show_entries", "format=duration:stream=codec_type",
+    "-of", "json",
+    filePath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+
+  const info = JSON.parse(stdout);
+  const streams = info.streams || [];
+  return {
+    durationSeconds: Number(info.format?.duration) || 0,
+    hasAudio: streams.some(stream => stream.codec_type === "audio"),
+    hasVideo: streams.some(stream => stream.codec_type === "video")
+  };
+}
+
+// Write the buffer to a fresh temp directory, run fn(filePath, directory), and clean up afterwards
+export async function withTempFile(buffer, fn) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "fact-check-media-"));
+  const filePath = path.join(directory, "input");
+  try {
+    await fs.promises.writeFile(filePath, buffer);
+    return await fn(filePath, directory);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Files ffmpeg wrote into a directory with the given name prefix, in order
+export async function readOutputFiles(directory, prefix) {
+  const files = (await fs.promises.readdir(directory)).filter(name => name.startsWith(prefix)).sort();
+  return Promise.all(files.map(name => fs.promises.readFile(path.join(directory, name))));
+}
+
+// ffmpeg/ffprobe not installed (or FFMPEG_PATH/FFPROBE_PATH wrong)
+export function isFfmpegMissing(error) {
+  return error?.code === "ENOENT";
+}
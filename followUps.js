@@ -0,0 +1,43 @@
+// Short replies like "why?" or "what's the source?" are questions about the last check,
+// not new claims to fact-check. Only the whole message counts, so a claim that starts with "Why" or
+// ends with "is that true?" is still checked.
+const FOLLOW_UP_QUESTIONS = [
+  "why( not)?", "why (is|was) (it|that|this)( so| false| true| wrong| fake| misleading)?", "explain( why)?",
+  "really", "sure", "are you sure", "how do you know( that| this)?", "says who", "who said (that|so|this)",
+  "is (it|that|this) (true|right|correct)", "sources?", "proof", "evidence", "details",
+  "what('?s| is| are) the (source|sources|proof|evidence)", "where did you (get|read|find) (that|this|it)( from)?",
+  "can you explain( that| this| it)?", "tell me more", "more details",
+  "kyun", "kyon", "sach mein", "saboot", "proof kya( hai)?",
+  "क्यों", "स्रोत", "सबूत", "सच में", "कैसे पता( चला)?"
+];
+const FOLLOW_UP_PATTERN = new RegExp(
+  `^((but|so|and|ok|okay|hmm)[\\s,]+)?(${FOLLOW_UP_QUESTIONS.join("|")})([\\s,]+(please|pls))?[\\s?!.।]*$`, "iu");
+const MAX_FOLLOW_UP_LENGTH = 120;
+
+export function isFollowUpQuestion(text, session) {
+  if (!text || !session.history || session.history.length === 0) return false;
+  if (text.length > MAX_FOLLOW_UP_LENGTH || /https?:\/\//i.test(text)) return false;
+  return FOLLOW_UP_PATTERN.test(text.trim());
+}
+
+// Chat messages giving the model the sender's recent checks before their question
+export function buildFollowUpMessages(history, question, languageName = "English") {
+  const context = history.map((check, index) => [
+    `Check ${index + 1} (${check.checkedAt}): "${check.claim}"`,
+    `Verdict: ${check.verdict}`,
+    `Explanation: ${check.explanation}`,
+    check.evidence?.length ? `Evidence: ${check.evidence.join("; ")}` : "",
+    check.sources?.length ? `Sources: ${check.sources.join(" ")}` : ""
+  ].filter(Boolean).join("\n")).join("\n\n");
+
+  return [
+    {
+      role: "system",
+      content: `You are an expert fact-checker answering a follow-up question on WhatsApp about fact-checks you already gave this user. The most recent check is the last one listed. Answer in plain ${languageName} under 1000 characters, without markdown or reference numbers like [1][2]. If the question asks for sources, give the source URLs. If it is really a new claim, say so and ask them to send it as a new message.
+
+Previous checks:
+${context}`
+    },
+    { role: "user", content: question }
+  ];
+}
@@ -0,0 +1,413 @@
+// Reply languages, language detection and translated canned messages
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGE_NAMES = {
+  en: "English",
+  hi: "Hindi",
+  es: "Spanish",
+  fr: "French"
+};
+
+const MESSAGES = {
+  en: {
+    verdict_true: "✅ VERIFIED TRUE",
+    verdict_false: "❌ VERIFIED FAKE",
+    verdict_partially_true: "⚠️ PARTIALLY TRUE",
+    verdict_unclear: "⚠️ VERIFICATION UNCLEAR",
+    tally_true: "true",
+    tally_false: "fake",
+    tally_partially_true: "partly true",
+    tally_unclear: "unclear",
+    confidence: "{percent}% confidence",
+    claim: "Claim",
+    claims_checked: "{count} claims checked",
+    your_message: "Your message",
+    checked_with: "Checked with {providers}",
+    answered_with: "Answered with {provider}",
+    previously_checked: "Previously checked on {date}",
+    checking: "🔎 Checking… I'll send you the verdict in a moment.",
+    general_error: "Sorry, I'm having trouble processing your request right now.",
+    empty_message: "Please send me a message or audio to process!",
+    no_answer: "I couldn't find an answer.",
+    audio_not_configured: "Audio processing is not configured yet. Please send a text message instead. To enable audio, configure your Twilio Auth Token in the .env file.",
+    audio_no_transcript: "Sorry, I couldn't transcribe the audio. Please try again or send a text message.",
+    audio_error: "Sorry, I had trouble processing the audio. Please try sending a text message instead.",
+    image_not_configured: "Image processing is not configured yet. Please send a text message instead. To enable image processing, configure your Twilio Auth Token in the .env file.",
+    image_no_text: "Sorry, I couldn't extract any text from the image. Please try again with a clearer image or send a text message.",
+    image_error: "Sorry, I had trouble processing the image. Please try sending a text message instead.",
+    pdf_not_configured: "PDF processing is not configured yet. Please send a text message instead. To enable PDFs, configure your Twilio Auth Token in the .env file.",
+    pdf_no_text: "Sorry, I couldn't find any text in that PDF. Scanned PDFs aren't supported yet, so please send screenshots of the pages instead.",
+    pdf_error: "Sorry, I had trouble reading the PDF. Please try sending a text message instead.",
+    media_unsupported: "Sorry, I can only check text, images, voice notes, videos and PDFs.",
+    attachment_skipped: "⚠️ I couldn't read attachment {number}, so it wasn't checked.",
+    from_attachment: "📎 From attachment {number} ({kind})",
+    from_caption: "📎 From your caption",
+    from_link: "🔗 From link {number} ({host})",
+    media_image: "image",
+    media_audio: "voice note",
+    media_pdf: "PDF",
+    media_video: "video",
+    video_not_configured: "Video processing is not configured yet. Please send a text message instead. To enable videos, configure your Twilio Auth Token and install ffmpeg on the server.",
+    video_no_text: "Sorry, I couldn't find any speech or on-screen text in that video. Please send the claim as a text message.",
+    video_error: "Sorry, I had trouble processing the video. Please try sending a text message instead.",
+    video_rejected: "Sorry, I can't check that video.",
+    video_too_large: "Videos can be at most {mb} MB.",
+    video_too_long: "Videos can be at most {seconds} seconds long.",
+    image_known_debunked: "This image matches one already found to be false: \"{claim}\"",
+    image_seen_before: "This image was already online: {url}",
+    transcription_uncertain: "The transcription may be wrong: speech recognition was only {percent}% sure of what was said. Please check the transcript.",
+    audio_truncated: "Only the first {minutes} minutes of the recording were checked.",
+    attachment_label: "Attachment {number}",
+    url_error: "Sorry, I couldn't process the content from that URL. Please try sending the text directly or try again later.",
+    more_parts: "📋 {count} more part(s). Reply MORE to continue.",
+    no_last_check: "I don't have a recent fact-check for you yet. Send me a message, link, image or voice note to check.",
+    last_check_done: "That was everything from your last check. Reply FULL to see it again from the start.",
+    history_title: "Your last {count} check(s):",
+    history_empty: "You haven't had anything checked yet. Send me a message, link, image or voice note to check.",
+    history_unavailable: "Sorry, your check history isn't available right now.",
+    wrong_received: "🙏 Thanks for flagging this. A human fact-checker will review it, and I'll message you if the verdict changes.",
+    review_update: "A human fact-checker reviewed a claim you asked me about:",
+    review_verdict_changed: "A human fact-checker reviewed a claim you asked me about, and the verdict I gave you has changed:",
+    welcome: "👋 Hi! Send me any message, link, photo, voice note, video or PDF you want checked and I'll tell you whether it holds up. Reply MORE or FULL for long answers, WRONG if you think a verdict is wrong, HISTORY for your last checks and LANG hi to change the language.",
+    sources_title: "Sources",
+    source_fact_checker: "fact-checker",
+    source_official: "official",
+    source_low: "low credibility",
+    low_credibility_downgrade: "Only low-credibility sources back this verdict, so it is marked unclear.",
+    follow_hint: "🔔 Reply FOLLOW and I'll message you if this verdict changes.",
+    follow_added: "🔔 Following {count} claim(s). I'll message you if the verdict changes. Reply STOP to turn alerts off.",
+    follow_topic_added: "🔔 You'll get alerts about {topic}. Reply UNFOLLOW {topic} to leave it, or STOP to turn all alerts off.",
+    topic_unknown: "Sorry, I don't know that topic. Topics: {topics}. Example: FOLLOW health",
+    unfollow_done: "🔕 No more alerts about {topic}.",
+    stop_done: "🔕 Alerts turned off. You won't get any more messages unless you check something. Reply FOLLOW to turn them back on.",
+    alerts_unavailable: "Sorry, alerts aren't available right now.",
+    alerts_window_note: "⚠️ I can only message you here within {hours} hours of your last message, so some alerts may not reach you if you haven't written to me lately.",
+    verdict_changed: "Update on a claim you follow - the verdict has changed:",
+    alert_header: "Alert about {topic}:",
+    stop_hint: "Reply STOP to turn off alerts.",
+    new_session: "🆕 Started a fresh session. Send me a message, link, image or voice note to check.",
+    language_set: "🌐 I'll reply in English from now on.",
+    language_unknown: "Sorry, I can't reply in that language yet. Available: {languages}. Example: LANG hi",
+    link_safety: "Link safety for {host}",
+    link_destination: "{link} really leads to {host}",
+    link_unreadable: "⚠️ I couldn't read link {number} ({host}), so only its safety was checked.",
+    link_risk_high: "❌ High risk",
+    link_risk_medium: "⚠️ Caution",
+    link_risk_low: "✅ No known issues",
+    link_risk_unknown: "❔ Could not be checked",
+    slow_down: "⏳ You're sending messages very quickly. Please wait a minute before sending the next one.",
+    busy: "⏳ I'm handling a lot of requests right now. Please try again in a minute."
+  },
+  hi: {
+    verdict_true: "✅ सत्यापित: सच",
+    verdict_false: "❌ सत्यापित: फ़र्ज़ी",
+    verdict_partially_true: "⚠️ आंशिक रूप से सच",
+    verdict_unclear: "⚠️ सत्यापन अस्पष्ट",
+    tally_true: "सच",
+    tally_false: "फ़र्ज़ी",
+    tally_partially_true: "आंशिक सच",
+    tally_unclear: "अस्पष्ट",
+    confidence: "{percent}% विश्वास",
+    claim: "दावा",
+    claims_checked: "{count} दावों की जाँच हुई",
+    your_message: "आपका संदेश",
+    checked_with: "{providers} से जाँचा गया",
+    answered_with: "{provider} से उत्तर दिया गया",
+    previously_checked: "पहले {date} को जाँचा गया",
+    checking: "🔎 जाँच हो रही है… मैं जल्द ही आपको नतीजा भेजूँगा।",
+    general_error: "माफ़ कीजिए, अभी आपके अनुरोध को संसाधित करने में दिक्कत हो रही है।",
+    empty_message: "कृपया जाँच के लिए मुझे कोई संदेश या ऑडियो भेजें!",
+    no_answer: "मुझे कोई उत्तर नहीं मिला।",
+    audio_not_configured: "ऑडियो प्रोसेसिंग अभी सेट नहीं है। कृपया टेक्स्ट संदेश भेजें।",
+    audio_no_transcript: "माफ़ कीजिए, मैं ऑडियो को लिख नहीं पाया। कृपया फिर से कोशिश करें या टेक्स्ट संदेश भेजें।",
+    audio_error: "माफ़ कीजिए, ऑडियो प्रोसेस करने में दिक्कत हुई। कृपया टेक्स्ट संदेश भेजें।",
+    image_not_configured: "इमेज प्रोसेसिंग अभी सेट नहीं है। कृपया टेक्स्ट संदेश भेजें।",
+    image_no_text: "माफ़ कीजिए, मैं इमेज से कोई टेक्स्ट नहीं निकाल पाया। कृपया साफ़ इमेज भेजें या टेक्स्ट संदेश भेजें।",
+    image_error: "माफ़ कीजिए, इमेज प्रोसेस करने में दिक्कत हुई। कृपया टेक्स्ट संदेश भेजें।",
+    pdf_not_configured: "PDF प्रोसेसिंग अभी सेट नहीं है। कृपया टेक्स्ट संदेश भेजें।",
+    pdf_no_text: "माफ़ कीजिए, उस PDF में मुझे कोई टेक्स्ट नहीं मिला। स्कैन की गई PDF अभी समर्थित नहीं हैं, कृपया पन्नों के स्क्रीनशॉट भेजें।",
+    pdf_error: "माफ़ कीजिए, PDF पढ़ने में दिक्कत हुई। कृपया टेक्स्ट संदेश भेजें।",
+    media_unsupported: "माफ़ कीजिए, मैं सिर्फ़ टेक्स्ट, इमेज, वॉइस नोट, वीडियो और PDF की जाँच कर सकता हूँ।",
+    attachment_skipped: "⚠️ मैं अटैचमेंट {number} नहीं पढ़ पाया, इसलिए उसकी जाँच नहीं हुई।",
+    from_attachment: "📎 अटैचमेंट {number} ({kind}) से",
+    from_caption: "📎 आपके कैप्शन से",
+    from_link: "🔗 लिंक {number} ({host}) से",
+    media_image: "इमेज",
+    media_audio: "वॉइस नोट",
+    media_pdf: "PDF",
+    media_video: "वीडियो",
+    video_not_configured: "वीडियो प्रोसेसिंग अभी सेट नहीं है। कृपया टेक्स्ट संदेश भेजें।",
+    video_no_text: "माफ़ कीजिए, उस वीडियो में मुझे कोई आवाज़ या स्क्रीन पर लिखा टेक्स्ट नहीं मिला। कृपया दावा टेक्स्ट संदेश में भेजें।",
+    video_error: "माफ़ कीजिए, वीडियो प्रोसेस करने में दिक्कत हुई। कृपया टेक्स्ट संदेश भेजें।",
+    video_rejected: "माफ़ कीजिए, मैं उस वीडियो की जाँच नहीं कर सकता।",
+    video_too_large: "वीडियो अधिकतम {mb} MB का हो सकता है।",
+    video_too_long: "वीडियो अधिकतम {seconds} सेकंड लंबा हो सकता है।",
+    image_known_debunked: "यह इमेज पहले फ़र्ज़ी पाई गई एक इमेज से मेल खाती है: \"{claim}\"",
+    image_seen_before: "यह इमेज पहले से इंटरनेट पर मौजूद थी: {url}",
+    transcription_uncertain: "ट्रांसक्रिप्शन गलत हो सकता है: स्पीच रिकग्निशन सिर्फ़ {percent}% निश्चित था कि क्या कहा गया। कृपया लिखा हुआ टेक्स्ट जाँच लें।",
+    audio_truncated: "रिकॉर्डिंग के सिर्फ़ पहले {minutes} मिनट की जाँच हुई।",
+    attachment_label: "अटैचमेंट {number}",
+    url_error: "माफ़ कीजिए, मैं उस लिंक की सामग्री प्रोसेस नहीं कर पाया। कृपया टेक्स्ट सीधे भेजें या बाद में कोशिश करें।",
+    more_parts: "📋 {count} और भाग बाकी हैं। आगे पढ़ने के लिए MORE लिखें।",
+    no_last_check: "आपकी कोई हाल की जाँच मेरे पास नहीं है। जाँच के लिए संदेश, लिंक, इमेज या वॉइस नोट भेजें।",
+    last_check_done: "आपकी पिछली जाँच का सब कुछ भेज दिया गया है। शुरू से देखने के लिए FULL लिखें।",
+    history_title: "आपकी पिछली {count} जाँच:",
+    history_empty: "आपने अभी तक कुछ भी जाँच नहीं करवाया है। जाँच के लिए मुझे कोई संदेश, लिंक, तस्वीर या वॉइस नोट भेजें।",
+    history_unavailable: "माफ़ कीजिए, आपकी जाँच का इतिहास अभी उपलब्ध नहीं है।",
+    wrong_received: "🙏 बताने के लिए धन्यवाद। एक इंसानी फ़ैक्ट-चेकर इसकी समीक्षा करेगा, और नतीजा बदलने पर मैं आपको संदेश भेजूँगा।",
+    review_update: "एक इंसानी फ़ैक्ट-चेकर ने आपके पूछे गए एक दावे की समीक्षा की है:",
+    review_verdict_changed: "एक इंसानी फ़ैक्ट-चेकर ने आपके पूछे गए एक दावे की समीक्षा की है, और मेरा दिया हुआ नतीजा बदल गया है:",
+    welcome: "👋 नमस्ते! जो भी संदेश, लिंक, फ़ोटो, वॉइस नोट, वीडियो या PDF जाँचना हो, मुझे भेजें और मैं बताऊँगा कि वह कितना सही है। लंबे जवाब के लिए MORE या FULL, ग़लत नतीजे के लिए WRONG, पिछली जाँचों के लिए HISTORY और भाषा बदलने के लिए LANG en लिखें।",
+    sources_title: "स्रोत",
+    source_fact_checker: "फ़ैक्ट-चेकर",
+    source_official: "आधिकारिक",
+    source_low: "कम विश्वसनीय",
+    low_credibility_downgrade: "इस नतीजे के पीछे सिर्फ़ कम विश्वसनीय स्रोत हैं, इसलिए इसे अस्पष्ट माना गया है।",
+    follow_hint: "🔔 FOLLOW लिखें, नतीजा बदलने पर मैं आपको संदेश भेजूँगा।",
+    follow_added: "🔔 {count} दावे फ़ॉलो किए गए। नतीजा बदलने पर मैं आपको संदेश भेजूँगा। अलर्ट बंद करने के लिए STOP लिखें।",
+    follow_topic_added: "🔔 आपको {topic} के बारे में अलर्ट मिलेंगे। छोड़ने के लिए UNFOLLOW {topic}, या सभी अलर्ट बंद करने के लिए STOP लिखें।",
+    topic_unknown: "माफ़ कीजिए, यह विषय मुझे नहीं पता। विषय: {topics}। उदाहरण: FOLLOW health",
+    unfollow_done: "🔕 {topic} के बारे में अब कोई अलर्ट नहीं।",
+    stop_done: "🔕 अलर्ट बंद कर दिए गए। जब तक आप कुछ जाँचने नहीं भेजते, आपको कोई संदेश नहीं मिलेगा। फिर से चालू करने के लिए FOLLOW लिखें।",
+    alerts_unavailable: "माफ़ कीजिए, अभी अलर्ट उपलब्ध नहीं हैं।",
+    alerts_window_note: "⚠️ मैं आपको आपके पिछले संदेश के {hours} घंटे के भीतर ही संदेश भेज सकता हूँ, इसलिए अगर आपने हाल में कुछ नहीं लिखा है तो कुछ अलर्ट शायद न पहुँचें।",
+    verdict_changed: "आपके फ़ॉलो किए गए दावे पर अपडेट - नतीजा बदल गया है:",
+    alert_header: "{topic} के बारे में अलर्ट:",
+    stop_hint: "अलर्ट बंद करने के लिए STOP लिखें।",
+    new_session: "🆕 नया सत्र शुरू हुआ। जाँच के लिए संदेश, लिंक, इमेज या वॉइस नोट भेजें।",
+    language_set: "🌐 अब से मैं हिंदी में जवाब दूँगा।",
+    language_unknown: "माफ़ कीजिए, यह भाषा अभी उपलब्ध नहीं है। उपलब्ध: {languages}। उदाहरण: LANG hi",
+    link_safety: "{host} लिंक की सुरक्षा",
+    link_destination: "{link} असल में {host} पर ले जाता है",
+    link_unreadable: "⚠️ मैं लिंक {number} ({host}) नहीं पढ़ पाया, इसलिए सिर्फ़ उसकी सुरक्षा जाँची गई।",
+    link_risk_high: "❌ उच्च जोखिम",
+    link_risk_medium: "⚠️ सावधान",
+    link_risk_low: "✅ कोई ज्ञात समस्या नहीं",
+    link_risk_unknown: "❔ जाँच नहीं हो सकी",
+    slow_down: "⏳ आप बहुत जल्दी-जल्दी संदेश भेज रहे हैं। कृपया अगला संदेश भेजने से पहले एक मिनट रुकें।",
+    busy: "⏳ अभी बहुत सारे अनुरोध आ रहे हैं। कृपया एक मिनट बाद फिर कोशिश करें।"
+  },
+  es: {
+    verdict_true: "✅ VERIFICADO: VERDADERO",
+    verdict_false: "❌ VERIFICADO: FALSO",
+    verdict_partially_true: "⚠️ PARCIALMENTE CIERTO",
+    verdict_unclear: "⚠️ VERIFICACIÓN NO CONCLUYENTE",
+    tally_true: "verdadero",
+    tally_false: "falso",
+    tally_partially_true: "parcialmente cierto",
+    tally_unclear: "no concluyente",
+    confidence: "{percent}% de confianza",
+    claim: "Afirmación",
+    claims_checked: "{count} afirmaciones verificadas",
+    your_message: "Tu mensaje",
+    checked_with: "Verificado con {providers}",
+    answered_with: "Respondido con {provider}",
+    previously_checked: "Verificado anteriormente el {date}",
+    checking: "🔎 Verificando… Te enviaré el resultado en un momento.",
+    general_error: "Lo siento, ahora mismo tengo problemas para procesar tu solicitud.",
+    empty_message: "¡Envíame un mensaje o un audio para verificar!",
+    no_answer: "No pude encontrar una respuesta.",
+    audio_not_configured: "El procesamiento de audio aún no está configurado. Envía un mensaje de texto.",
+    audio_no_transcript: "Lo siento, no pude transcribir el audio. Inténtalo de nuevo o envía un mensaje de texto.",
+    audio_error: "Lo siento, tuve problemas al procesar el audio. Intenta enviar un mensaje de texto.",
+    image_not_configured: "El procesamiento de imágenes aún no está configurado. Envía un mensaje de texto.",
+    image_no_text: "Lo siento, no pude extraer texto de la imagen. Inténtalo con una imagen más clara o envía un mensaje de texto.",
+    image_error: "Lo siento, tuve problemas al procesar la imagen. Intenta enviar un mensaje de texto.",
+    pdf_not_configured: "El procesamiento de PDF aún no está configurado. Envía un mensaje de texto.",
+    pdf_no_text: "Lo siento, no encontré texto en ese PDF. Los PDF escaneados aún no son compatibles; envía capturas de las páginas.",
+    pdf_error: "Lo siento, tuve problemas al leer el PDF. Intenta enviar un mensaje de texto.",
+    media_unsupported: "Lo siento, solo puedo verificar textos, imágenes, notas de voz, videos y PDF.",
+    attachment_skipped: "⚠️ No pude leer el adjunto {number}, así que no lo verifiqué.",
+    from_attachment: "📎 Del adjunto {number} ({kind})",
+    from_caption: "📎 De tu texto",
+    from_link: "🔗 Del enlace {number} ({host})",
+    media_image: "imagen",
+    media_audio: "nota de voz",
+    media_pdf: "PDF",
+    media_video: "video",
+    video_not_configured: "El procesamiento de video aún no está configurado. Envía un mensaje de texto.",
+    video_no_text: "Lo siento, no encontré voz ni texto en pantalla en ese video. Envía la afirmación como mensaje de texto.",
+    video_error: "Lo siento, tuve problemas al procesar el video. Intenta enviar un mensaje de texto.",
+    video_rejected: "Lo siento, no puedo verificar ese video.",
+    video_too_large: "Los videos pueden tener como máximo {mb} MB.",
+    video_too_long: "Los videos pueden durar como máximo {seconds} segundos.",
+    image_known_debunked: "Esta imagen coincide con una que ya resultó ser falsa: \"{claim}\"",
+    image_seen_before: "Esta imagen ya estaba en internet: {url}",
+    transcription_uncertain: "La transcripción puede tener errores: el reconocimiento de voz solo estaba {percent}% seguro de lo que se dijo. Revisa la transcripción.",
+    audio_truncated: "Solo se verificaron los primeros {minutes} minutos de la grabación.",
+    attachment_label: "Adjunto {number}",
+    url_error: "Lo siento, no pude procesar el contenido de ese enlace. Envía el texto directamente o inténtalo más tarde.",
+    more_parts: "📋 Quedan {count} parte(s). Responde MORE para continuar.",
+    no_last_check: "Aún no tengo una verificación reciente tuya. Envíame un mensaje, enlace, imagen o nota de voz.",
+    last_check_done: "Eso fue todo de tu última verificación. Responde FULL para verla desde el principio.",
+    history_title: "Tus últimas {count} verificaciones:",
+    history_empty: "Todavía no has verificado nada. Envíame un mensaje, enlace, imagen o nota de voz para verificar.",
+    history_unavailable: "Lo siento, tu historial de verificaciones no está disponible ahora mismo.",
+    wrong_received: "🙏 Gracias por avisar. Un verificador humano lo revisará y te escribiré si el veredicto cambia.",
+    review_update: "Un verificador humano revisó una afirmación sobre la que me preguntaste:",
+    review_verdict_changed: "Un verificador humano revisó una afirmación sobre la que me preguntaste, y el veredicto que te di ha cambiado:",
+    welcome: "👋 ¡Hola! Envíame cualquier mensaje, enlace, foto, nota de voz, video o PDF que quieras verificar y te diré si es cierto. Responde MORE o FULL para respuestas largas, WRONG si crees que un veredicto está mal, HISTORY para tus últimas verificaciones y LANG en para cambiar el idioma.",
+    sources_title: "Fuentes",
+    source_fact_checker: "verificador",
+    source_official: "oficial",
+    source_low: "poco fiable",
+    low_credibility_downgrade: "Este veredicto solo se apoya en fuentes poco fiables, así que se marca como poco claro.",
+    follow_hint: "🔔 Responde FOLLOW y te escribiré si este veredicto cambia.",
+    follow_added: "🔔 Siguiendo {count} afirmación(es). Te escribiré si el veredicto cambia. Responde STOP para desactivar las alertas.",
+    follow_topic_added: "🔔 Recibirás alertas sobre {topic}. Responde UNFOLLOW {topic} para dejarlo, o STOP para desactivar todas las alertas.",
+    topic_unknown: "Lo siento, no conozco ese tema. Temas: {topics}. Ejemplo: FOLLOW health",
+    unfollow_done: "🔕 No más alertas sobre {topic}.",
+    stop_done: "🔕 Alertas desactivadas. No recibirás más mensajes a menos que verifiques algo. Responde FOLLOW para activarlas de nuevo.",
+    alerts_unavailable: "Lo siento, las alertas no están disponibles ahora.",
+    alerts_window_note: "⚠️ Solo puedo escribirte aquí dentro de las {hours} horas siguientes a tu último mensaje, así que algunas alertas podrían no llegarte si no me has escrito últimamente.",
+    verdict_changed: "Novedad sobre una afirmación que sigues - el veredicto ha cambiado:",
+    alert_header: "Alerta sobre {topic}:",
+    stop_hint: "Responde STOP para desactivar las alertas.",
+    new_session: "🆕 Nueva sesión iniciada. Envíame un mensaje, enlace, imagen o nota de voz para verificar.",
+    language_set: "🌐 A partir de ahora responderé en español.",
+    language_unknown: "Lo siento, todavía no puedo responder en ese idioma. Disponibles: {languages}. Ejemplo: LANG es",
+    link_safety: "Seguridad del enlace {host}",
+    link_destination: "{link} en realidad lleva a {host}",
+    link_unreadable: "⚠️ No pude leer el enlace {number} ({host}), así que solo se comprobó su seguridad.",
+    link_risk_high: "❌ Riesgo alto",
+    link_risk_medium: "⚠️ Precaución",
+    link_risk_low: "✅ Sin problemas conocidos",
+    link_risk_unknown: "❔ No se pudo comprobar",
+    slow_down: "⏳ Estás enviando mensajes muy rápido. Espera un minuto antes de enviar el siguiente.",
+    busy: "⏳ Estoy atendiendo muchas solicitudes ahora mismo. Inténtalo de nuevo en un minuto."
+  },
+  fr: {
+    verdict_true: "✅ VÉRIFIÉ : VRAI",
+    verdict_false: "❌ VÉRIFIÉ : FAUX",
+    verdict_partially_true: "⚠️ PARTIELLEMENT VRAI",
+    verdict_unclear: "⚠️ VÉRIFICATION INCERTAINE",
+    tally_true: "vrai",
+    tally_false: "faux",
+    tally_partially_true: "partiellement vrai",
+    tally_unclear: "incertain",
+    confidence: "confiance {percent} %",
+    claim: "Affirmation",
+    claims_checked: "{count} affirmations vérifiées",
+    your_message: "Votre message",
+    checked_with: "Vérifié avec {providers}",
+    answered_with: "Répondu avec {provider}",
+    previously_checked: "Déjà vérifié le {date}",
+    checking: "🔎 Vérification en cours… Je vous envoie le verdict dans un instant.",
+    general_error: "Désolé, j'ai du mal à traiter votre demande pour le moment.",
+    empty_message: "Envoyez-moi un message ou un audio à vérifier !",
+    no_answer: "Je n'ai pas trouvé de réponse.",
+    audio_not_configured: "Le traitement audio n'est pas encore configuré. Envoyez plutôt un message texte.",
+    audio_no_transcript: "Désolé, je n'ai pas pu transcrire l'audio. Réessayez ou envoyez un message texte.",
+    audio_error: "Désolé, j'ai eu du mal à traiter l'audio. Essayez d'envoyer un message texte.",
+    image_not_configured: "Le traitement d'images n'est pas encore configuré. Envoyez plutôt un message texte.",
+    image_no_text: "Désolé, je n'ai pas pu extraire de texte de l'image. Réessayez avec une image plus nette ou envoyez un message texte.",
+    image_error: "Désolé, j'ai eu du mal à traiter l'image. Essayez d'envoyer un message texte.",
+    pdf_not_configured: "Le traitement des PDF n'est pas encore configuré. Envoyez plutôt un message texte.",
+    pdf_no_text: "Désolé, je n'ai trouvé aucun texte dans ce PDF. Les PDF scannés ne sont pas encore pris en charge, envoyez plutôt des captures des pages.",
+    pdf_error: "Désolé, j'ai eu du mal à lire le PDF. Essayez d'envoyer un message texte.",
+    media_unsupported: "Désolé, je ne peux vérifier que des textes, images, notes vocales, vidéos et PDF.",
+    attachment_skipped: "⚠️ Je n'ai pas pu lire la pièce jointe {number}, elle n'a donc pas été vérifiée.",
+    from_attachment: "📎 Pièce jointe {number} ({kind})",
+    from_caption: "📎 De votre légende",
+    from_link: "🔗 Du lien {number} ({host})",
+    media_image: "image",
+    media_audio: "note vocale",
+    media_pdf: "PDF",
+    media_video: "vidéo",
+    video_not_configured: "Le traitement des vidéos n'est pas encore configuré. Envoyez plutôt un message texte.",
+    video_no_text: "Désolé, je n'ai trouvé ni parole ni texte à l'écran dans cette vidéo. Envoyez l'affirmation en message texte.",
+    video_error: "Désolé, j'ai eu du mal à traiter la vidéo. Essayez d'envoyer un message texte.",
+    video_rejected: "Désolé, je ne peux pas vérifier cette vidéo.",
+    video_too_large: "Les vidéos peuvent faire au maximum {mb} Mo.",
+    video_too_long: "Les vidéos peuvent durer au maximum {seconds} secondes.",
+    image_known_debunked: "Cette image correspond à une image déjà jugée fausse : \"{claim}\"",
+    image_seen_before: "Cette image était déjà en ligne : {url}",
+    transcription_uncertain: "La transcription peut être erronée : la reconnaissance vocale n'était sûre qu'à {percent} % de ce qui a été dit. Vérifiez la transcription.",
+    audio_truncated: "Seules les {minutes} premières minutes de l'enregistrement ont été vérifiées.",
+    attachment_label: "Pièce jointe {number}",
+    url_error: "Désolé, je n'ai pas pu traiter le contenu de ce lien. Envoyez le texte directement ou réessayez plus tard.",
+    more_parts: "📋 Encore {count} partie(s). Répondez MORE pour continuer.",
+    no_last_check: "Je n'ai pas encore de vérification récente pour vous. Envoyez un message, un lien, une image ou une note vocale.",
+    last_check_done: "C'était tout pour votre dernière vérification. Répondez FULL pour la revoir depuis le début.",
+    history_title: "Vos {count} dernières vérifications :",
+    history_empty: "Vous n'avez encore rien fait vérifier. Envoyez-moi un message, un lien, une image ou une note vocale à vérifier.",
+    history_unavailable: "Désolé, votre historique de vérifications n'est pas disponible pour le moment.",
+    wrong_received: "🙏 Merci de l'avoir signalé. Un vérificateur humain va l'examiner, et je vous écrirai si le verdict change.",
+    review_update: "Un vérificateur humain a examiné une affirmation sur laquelle vous m'avez interrogé :",
+    review_verdict_changed: "Un vérificateur humain a examiné une affirmation sur laquelle vous m'avez interrogé, et le verdict que je vous avais donné a changé :",
+    welcome: "👋 Bonjour ! Envoyez-moi un message, un lien, une photo, une note vocale, une vidéo ou un PDF à vérifier et je vous dirai s'il est fiable. Répondez MORE ou FULL pour les réponses longues, WRONG si un verdict vous semble faux, HISTORY pour vos dernières vérifications et LANG en pour changer de langue.",
+    sources_title: "Sources",
+    source_fact_checker: "vérificateur",
+    source_official: "officiel",
+    source_low: "peu fiable",
+    low_credibility_downgrade: "Ce verdict ne repose que sur des sources peu fiables, il est donc marqué comme incertain.",
+    follow_hint: "🔔 Répondez FOLLOW et je vous écrirai si ce verdict change.",
+    follow_added: "🔔 {count} affirmation(s) suivie(s). Je vous écrirai si le verdict change. Répondez STOP pour désactiver les alertes.",
+    follow_topic_added: "🔔 Vous recevrez des alertes sur {topic}. Répondez UNFOLLOW {topic} pour arrêter, ou STOP pour désactiver toutes les alertes.",
+    topic_unknown: "Désolé, je ne connais pas ce sujet. Sujets : {topics}. Exemple : FOLLOW health",
+    unfollow_done: "🔕 Plus d'alertes sur {topic}.",
+    stop_done: "🔕 Alertes désactivées. Vous ne recevrez plus de messages sauf si vous vérifiez quelque chose. Répondez FOLLOW pour les réactiver.",
+    alerts_unavailable: "Désolé, les alertes ne sont pas disponibles pour le moment.",
+    alerts_window_note: "⚠️ Je ne peux vous écrire ici que dans les {hours} heures qui suivent votre dernier message, donc certaines alertes pourraient ne pas vous parvenir si vous ne m'avez pas écrit récemment.",
+    verdict_changed: "Du nouveau sur une affirmation que vous suivez - le verdict a changé :",
+    alert_header: "Alerte sur {topic} :",
+    stop_hint: "Répondez STOP pour désactiver les alertes.",
+    new_session: "🆕 Nouvelle session. Envoyez un message, un lien, une image ou une note vocale à vérifier.",
+    language_set: "🌐 Je répondrai désormais en français.",
+    language_unknown: "Désolé, je ne peux pas encore répondre dans cette langue. Disponibles : {languages}. Exemple : LANG fr",
+    link_safety: "Sécurité du lien {host}",
+    link_destination: "{link} mène en réalité à {host}",
+    link_unreadable: "⚠️ Je n'ai pas pu lire le lien {number} ({host}), seule sa sécurité a été vérifiée.",
+    link_risk_high: "❌ Risque élevé",
+    link_risk_medium: "⚠️ Prudence",
+    link_risk_low: "✅ Aucun problème connu",
+    link_risk_unknown: "❔ Vérification impossible",
+    slow_down: "⏳ Vous envoyez des messages très rapidement. Attendez une minute avant d'envoyer le suivant.",
+    busy: "⏳ Je traite beaucoup de demandes en ce moment. Réessayez dans une minute."
+  }
+};
+
+// Translated message for a key, with {placeholders} filled in. Falls back to English.
+export function t(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// "hi-IN", "HI", "hi_in" -> "hi"; null when we don't support the language
+export function normalizeLanguageCode(code) {
+  if (!code) return null;
+  const language = String(code).toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_NAMES[language] ? language : null;
+}
+
+const STOPWORDS = {
+  en: ["the", "is", "and", "of", "to", "that", "it", "for", "you", "this", "with", "are", "was", "not", "have"],
+  es: ["el", "los", "las", "que", "es", "y", "una", "por", "para", "con", "está", "como", "pero", "del", "muy"],
+  fr: ["le", "les", "des", "est", "et", "une", "pour", "pas", "dans", "avec", "sur", "ce", "vous", "qui", "du"],
+  // Romanized Hindi ("Hinglish") is common in forwards from India
+  hi: ["hai", "hain", "kya", "nahi", "nahin", "ke", "ki", "ka", "ko", "se", "aur", "mein", "yeh", "ye", "sach"]
+};
+
+// Guess the language of a piece of text from its script and common words.
+// Returns null when there isn't enough to go on.
+export function detectLanguage(text) {
+  if (!text) return null;
+
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return null;
+  const devanagari = text.match(/[ऀ-ॿ]/g) || [];
+  if (devanagari.length / letters.length > 0.3) return "hi";
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null;
+  let bestScore = 1; // need at least two stopword hits
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const score = words.filter(word => stopwords.includes(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+  return best;
+}
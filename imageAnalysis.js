@@ -0,0 +1,228 @@
+import sharp from "sharp";
+import exifReader from "exif-reader";
+import { createStore } from "./keyValueStore.js";
+import { safeGet } from "./safeHttp.js";
+import { t } from "./i18n.js";
+
+const HASH_MAX_DISTANCE = Number(process.env.IMAGE_HASH_MAX_DISTANCE || 6); // of 64 bits
+const KNOWN_IMAGE_DAYS = Number(process.env.KNOWN_IMAGE_DAYS || 90); // how long an image the bot debunked is remembered
+const MATCHING_PAGES_TO_DATE = Number(process.env.IMAGE_MATCH_PAGES || 5);
+const EDITING_SOFTWARE = /photoshop|gimp|lightroom|snapseed|picsart|facetune|canva|pixlr|affinity|faceapp/i;
+
+// Perceptual hashes of images we have already found to be false, keyed by hash.
+// Entries the bot adds expire after KNOWN_IMAGE_DAYS; entries seeded by hand are kept until removed.
+const knownImages = createStore("file", process.env.KNOWN_IMAGES_FILE || "data/known-images.json");
+
+// 64-bit difference hash: shrink to 9x8 greyscale and compare neighbouring pixels.
+// Survives resizing and recompression, so WhatsApp re-encodes of the same photo still match.
+export async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+  let bits = "";
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? "1" : "0";
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Closest known debunked image within HASH_MAX_DISTANCE, or null
+export function findKnownImage(hash) {
+  let best = null;
+  for (const [knownHash, details] of knownImages.entries()) {
+    const distance = hammingDistance(hash, knownHash);
+    if (distance <= HASH_MAX_DISTANCE && (!best || distance < best.distance)) {
+      best = { ...details, hash: knownHash, distance };
+    }
+  }
+  return best;
+}
+
+// details: { claim, explanation, sources }
+export function rememberDebunkedImage(hash, details) {
+  knownImages.set(hash, { ...details, addedAt: new Date().toISOString() }, KNOWN_IMAGE_DAYS * 24 * 60 * 60 * 1000);
+  console.log("🖼️ Remembered debunked image", hash);
+}
+
+export function listKnownImages() {
+  return knownImages.entries().map(([hash, details]) => ({ hash, ...details }));
+}
+
+// Stop recognising an image, e.g. an authentic photo that was remembered by mistake. Returns false for an unknown hash.
+export function forgetKnownImage(hash) {
+  if (!knownImages.get(hash)) return false;
+  knownImages.delete(hash);
+  console.log("🖼️ Forgot known image", hash);
+  return true;
+}
+
+// Camera, editing software and dates from EXIF. WhatsApp strips EXIF from photos it compresses,
+// so missing metadata is normal; images sent as documents keep it.
+async function readImageMetadata(buffer) {
+  try {
+    const { format, width, height, exif } = await sharp(buffer).metadata();
+    const metadata = { format, width, height, hasExif: Boolean(exif) };
+    if (!exif) return metadata;
+
+    const tags = exifReader(exif);
+    const camera = [tags.Image?.Make, tags.Image?.Model].filter(Boolean).join(" ").trim();
+    const takenAt = tags.Photo?.DateTimeOriginal;
+    const modifiedAt = tags.Image?.DateTime;
+    return {
+      ...metadata,
+      camera: camera || null,
+      software: tags.Image?.Software?.trim() || null,
+      takenAt: takenAt instanceof Date ? takenAt.toISOString() : null,
+      modifiedAt: modifiedAt instanceof Date ? modifiedAt.toISOString() : null,
+      hasGps: Boolean(tags.GPSInfo)
+    };
+  } catch (error) {
+    console.error("❌ Could not read image metadata:", error.message);
+    return null;
+  }
+}
+
+// Best-effort publication date of a web page from its meta tags or JSON-LD
+async function getPublishedDate(url) {
+  try {
+    const response = await safeGet(url, { timeoutMs: 5000 });
+    const html = String(response.data);
+    const match =
+      html.match(/<meta[^>]+(?:property|name|itemprop)=["'](?:article:published_time|og:published_time|datePublished|date|pubdate)["'][^>]+content=["']([^"']+)["']/i) ||
+      html.match(/"datePublished"\s*:\s*"([^"]+)"/i) ||
+      html.match(/<time[^>]+datetime=["']([^"']+)["']/i);
+    const date = match ? new Date(match[1]) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Where else the image appears online, according to Google Vision web detection.
+// Matching pages are sorted oldest first, so a reused photo shows its original context.
+async function getWebMatches(visionClient, buffer) {
+  if (!visionClient) return null;
+
+  try {
+    const [result] = await visionClient.webDetection({ image: { content: buffer.toString("base64") } });
+    const web = result.webDetection || {};
+    const pages = (web.pagesWithMatchingImages || []).slice(0, MATCHING_PAGES_TO_DATE);
+    const datedPages = await Promise.all(pages.map(async page => ({
+      url: page.url,
+      title: page.pageTitle ? page.pageTitle.replace(/<[^>]+>/g, "") : "",
+      fullMatch: (page.fullMatchingImages || []).length > 0,
+      publishedAt: await getPublishedDate(page.url)
+    })));
+    datedPages.sort((a, b) => (a.publishedAt || "9999").localeCompare(b.publishedAt || "9999"));
+
+    return {
+      bestGuessLabels: (web.bestGuessLabels || []).map(label => label.label).filter(Boolean),
+      entities: (web.webEntities || []).map(entity => entity.description).filter(Boolean).slice(0, 5),
+      fullMatches: (web.fullMatchingImages || []).length,
+      partialMatches: (web.partialMatchingImages || []).length,
+      matchingPages: datedPages
+    };
+  } catch (error) {
+    console.error("❌ Google Vision web detection error:", error.message);
+    return null;
+  }
+}
+
+// Run every image check. Each part is optional: a failed check is left out of the report.
+export async function analyzeImage(buffer, visionClient) {
+  console.log("🖼️ Analyzing image...");
+  const [hash, metadata, web] = await Promise.all([
+    perceptualHash(buffer).catch(error => {
+      console.error("❌ Could not hash image:", error.message);
+      return null;
+    }),
+    readImageMetadata(buffer),
+    getWebMatches(visionClient, buffer)
+  ]);
+
+  const report = { hash, knownMatch: hash ? findKnownImage(hash) : null, metadata, web };
+  console.log("🖼️ Image analysis:", JSON.stringify(report).substring(0, 500));
+  return report;
+}
+
+// Whether the analysis found anything the fact-check can work with when the image has no text
+export function hasImageSignals(report) {
+  return Boolean(report?.knownMatch || report?.web?.bestGuessLabels.length || report?.web?.matchingPages.length);
+}
+
+function describeMetadata(metadata) {
+  if (!metadata) return "";
+  if (!metadata.hasExif) return "No camera metadata (normal for photos forwarded on WhatsApp).";
+
+  const parts = [];
+  if (metadata.camera) parts.push(`taken with ${metadata.camera}`);
+  if (metadata.takenAt) parts.push(`original capture date ${metadata.takenAt.slice(0, 10)}`);
+  if (metadata.software) {
+    parts.push(EDITING_SOFTWARE.test(metadata.software)
+      ? `edited with ${metadata.software}`
+      : `last saved by ${metadata.software}`);
+  }
+  if (metadata.takenAt && metadata.modifiedAt && metadata.modifiedAt.slice(0, 10) !== metadata.takenAt.slice(0, 10)) {
+    parts.push(`modified on ${metadata.modifiedAt.slice(0, 10)}`);
+  }
+  if (metadata.hasGps) parts.push("contains GPS location");
+  return parts.length > 0 ? `Metadata: ${parts.join(", ")}.` : "";
+}
+
+// Context block passed to the fact-checking model
+export function describeImageAnalysisForPrompt(report, label = "the image") {
+  if (!report) return "";
+
+  const lines = [];
+  if (report.knownMatch) {
+    lines.push(`It matches an image we previously found to be false ("${report.knownMatch.claim}"${report.knownMatch.explanation ? `: ${report.knownMatch.explanation}` : ""}).`);
+  }
+  if (report.web?.bestGuessLabels.length) {
+    lines.push(`Reverse image search describes it as: ${report.web.bestGuessLabels.join(", ")}.`);
+  }
+  if (report.web?.entities.length) {
+    lines.push(`Related web entities: ${report.web.entities.join(", ")}.`);
+  }
+  if (report.web?.matchingPages.length) {
+    const pages = report.web.matchingPages
+      .map(page => `${page.url}${page.title ? ` ("${page.title}")` : ""}${page.publishedAt ? ` published ${page.publishedAt.slice(0, 10)}` : ""}`)
+      .join("; ");
+    lines.push(`It already appears on these pages, oldest first: ${pages}. If it was published before the event the message describes, the photo is being reused out of context.`);
+  }
+  const metadata = describeMetadata(report.metadata);
+  if (metadata) lines.push(metadata);
+
+  return lines.length > 0 ? `Image analysis for ${label}: ${lines.join(" ")}` : "";
+}
+
+// Stand-in content for an image with no readable text, so it can still be checked
+export function describeTextFreeImage(report) {
+  const labels = report.web?.bestGuessLabels.length ? report.web.bestGuessLabels.join(", ") : "unknown subject";
+  return `[Photo with no text. Reverse image search suggests it shows: ${labels}]`;
+}
+
+// Lines shown to the user at the end of the reply
+export function formatImageFindings(report, language) {
+  if (!report) return [];
+
+  const lines = [];
+  if (report.knownMatch) {
+    lines.push(`🖼️ ${t(language, "image_known_debunked", { claim: report.knownMatch.claim })}`);
+  }
+  const earliest = report.web?.matchingPages.find(page => page.publishedAt) || report.web?.matchingPages[0];
+  if (earliest) {
+    const date = earliest.publishedAt ? ` (${earliest.publishedAt.slice(0, 10)})` : "";
+    lines.push(`🔎 ${t(language, "image_seen_before", { url: `${earliest.url}${date}` })}`);
+  }
+  return lines;
+}
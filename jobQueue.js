@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import { createStore } from "./keyValueStore.js";
+
+const SEEN_JOB_TTL_MS = 24 * 60 * 60 * 1000; // Twilio retries arrive within minutes, keep ids for a day
+
+// In-process job queue with a fixed worker pool and retries.
+// With a persist file, pending jobs are written to disk and resumed after a restart.
+// handler(payload, job, saveProgress): saveProgress(progress) stores how far the job got as job.progress,
+// so a retry (or a resumed job) can carry on from there instead of redoing work that can't be undone.
+export function createJobQueue({
+  name,
+  handler,
+  onFailure,
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelayMs = 2000,
+  persistFile = null
+}) {
+  const backend = persistFile ? "file" : "memory";
+  const pendingStore = createStore(backend, persistFile);
+  const seenStore = createStore(backend, persistFile && persistFile.replace(/\.json$/, "") + "-seen.json");
+  const waiting = [];
+  let active = 0;
+
+  function pump() {
+    while (active < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      active++;
+      run(job).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  async function run(job) {
+    job.attempts++;
+    pendingStore.set(job.id, job);
+    console.log(`⚙️ [${name}] Running job ${job.id} (attempt ${job.attempts}/${maxAttempts})`);
+
+    function saveProgress(progress) {
+      job.progress = progress;
+      pendingStore.set(job.id, job);
+    }
+
+    try {
+      await handler(job.payload, job, saveProgress);
+      pendingStore.delete(job.id);
+      console.log(`✅ [${name}] Job ${job.id} done`);
+    } catch (error) {
+      console.error(`❌ [${name}] Job ${job.id} failed:`, error.message);
+
+      if (job.attempts < maxAttempts) {
+        // Back off a little more on every attempt
+        setTimeout(() => {
+          waiting.push(job);
+          pump();
+        }, retryDelayMs * job.attempts);
+        return;
+      }
+
+      pendingStore.delete(job.id);
+      console.error(`❌ [${name}] Giving up on job ${job.id} after ${job.attempts} attempts`);
+      if (onFailure) {
+        try {
+          await onFailure(job.payload, error);
+        } catch (failureError) {
+          console.error(`❌ [${name}] Failure handler for job ${job.id} failed:`, failureError.message);
+        }
+      }
+    }
+  }
+
+  // Returns false when a job with the same id was already accepted (duplicate delivery)
+  function enqueue(id, payload) {
+    const jobId = id || crypto.randomUUID();
+    if (seenStore.get(jobId)) {
+      console.log(`♻️ [${name}] Ignoring duplicate job ${jobId}`);
+      return false;
+    }
+    seenStore.set(jobId, true, SEEN_JOB_TTL_MS);
+
+    const job = { id: jobId, payload, attempts: 0, enqueuedAt: new Date().toISOString() };
+    pendingStore.set(jobId, job);
+    waiting.push(job);
+    pump();
+    return true;
+  }
+
+  // Pick up jobs that were still pending when the process last stopped
+  const resumed = pendingStore.entries().map(([, job]) => job);
+  if (resumed.length > 0) {
+    console.log(`🔁 [${name}] Resuming ${resumed.length} pending jobs`);
+    waiting.push(...resumed);
+    pump();
+  }
+
+  return {
+    enqueue,
+    size: () => waiting.length + active
+  };
+}
@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const FLUSH_DELAY_MS = Number(process.env.STORE_FLUSH_DELAY_MS || 1000);
+
+// In-memory store with per-entry expiry. Everything is lost on restart.
+// Expired entries are swept out every minute, not only when read. With maxEntries the least recently
+// used entries are dropped beyond that many, for stores that can lose an entry (caches, sessions).
+export function createMemoryStore({ maxEntries = Infinity } = {}) {
+  const entries = new Map();
+
+  function isExpired(record) {
+    return record.expiresAt && record.expiresAt <= Date.now();
+  }
+
+  function sweep() {
+    for (const [key, record] of entries) {
+      if (isExpired(record)) entries.delete(key);
+    }
+  }
+  // Doesn't keep the process alive on its own
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    get(key) {
+      const record = entries.get(key);
+      if (!record) return null;
+      if (isExpired(record)) {
+        entries.delete(key);
+        return null;
+      }
+      if (maxEntries !== Infinity) {
+        // Map keeps insertion order, so moving the entry to the end marks it most recently used
+        entries.delete(key);
+        entries.set(key, record);
+      }
+      return record.value;
+    },
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      if (entries.size > maxEntries) {
+        sweep();
+      }
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    entries() {
+      const live = [];
+      for (const [key, record] of entries) {
+        if (isExpired(record)) {
+          entries.delete(key);
+        } else {
+          live.push([key, record.value]);
+        }
+      }
+      return live;
+    },
+    // Used by the file store to load and dump raw records
+    _records: entries
+  };
+}
+
+// Same interface as the memory store, but changes are written to a JSON file so entries survive
+// restarts. Fine for a single bot process. Changes are batched into one write per FLUSH_DELAY_MS,
+// and whatever is still unwritten is flushed when the process exits.
+const unflushedStores = new Set();
+process.on("exit", () => {
+  unflushedStores.forEach(flush => flush());
+});
+
+export function createFileStore(filePath, { maxEntries = Infinity } = {}) {
+  const store = createMemoryStore({ maxEntries });
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const [key, record] of Object.entries(saved)) {
+        store._records.set(key, record);
+      }
+      // A file written before the cap (or with a higher one) is trimmed to the oldest-first order it was saved in
+      for (const oldest of store._records.keys()) {
+        if (store._records.size <= maxEntries) break;
+        store._records.delete(oldest);
+      }
+      console.log(`💾 Loaded ${store._records.size} entries from ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`❌ Could not read store file ${filePath}:`, error.message);
+  }
+
+  let flushTimer = null;
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    unflushedStores.delete(flush);
+    try {
+      store.entries(); // drop expired records before writing
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(store._records)));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error(`❌ Could not write store file ${filePath}:`, error.message);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    unflushedStores.add(flush);
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    flushTimer.unref();
+  }
+
+  return {
+    get: store.get,
+    set(key, value, ttlMs) {
+      store.set(key, value, ttlMs);
+      scheduleFlush();
+    },
+    delete(key) {
+      store.delete(key);
+      scheduleFlush();
+    },
+    entries: store.entries,
+    flush
+  };
+}
+
+// Pick a backend by name ("memory" or "file"). options.maxEntries caps either backend.
+export function createStore(backend, filePath, options = {}) {
+  if (backend === "file") {
+    return createFileStore(filePath, options);
+  }
+  return createMemoryStore(options);
+}
@@ -0,0 +1,363 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { normalizeClaimText } from "./factCheckCache.js";
+import { VERDICTS } from "./verdict.js";
+
+// Claims that fact-checkers have already settled, added through the admin API or imported from
+// ClaimReview feeds and CSV files. Incoming messages are matched against them before any model is called.
+const KNOWN_CLAIMS_DB_FILE = process.env.KNOWN_CLAIMS_DB_FILE || "data/known-claims.db";
+const STRONG_MATCH = Number(process.env.KNOWN_CLAIM_MATCH || 0.75); // use the curated verdict as the answer
+const RELATED_MATCH = Number(process.env.KNOWN_CLAIM_RELATED || 0.45); // mention it to the model as context
+const MAX_RELATED = 3;
+export const KNOWN_CLAIMS_PROVIDER = "known claims database";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS known_claims (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    text TEXT NOT NULL,
+    normalized TEXT NOT NULL UNIQUE,
+    verdict TEXT NOT NULL,
+    explanation TEXT NOT NULL,
+    sources TEXT NOT NULL DEFAULT '[]',
+    tags TEXT NOT NULL DEFAULT '[]',
+    reviewed_by TEXT,
+    rating TEXT,
+    published_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    matches INTEGER NOT NULL DEFAULT 0,
+    last_matched_at TEXT
+  );
+`;
+
+let db = null;
+try {
+  fs.mkdirSync(path.dirname(KNOWN_CLAIMS_DB_FILE), { recursive: true });
+  db = new Database(KNOWN_CLAIMS_DB_FILE);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+} catch (error) {
+  console.error("❌ Could not open the known claims database, messages won't be matched against it:", error.message);
+  db = null;
+}
+
+// Character trigrams of the normalized text, padded so word starts and ends count too
+function trigrams(normalized) {
+  const padded = ` ${normalized} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// In-memory trigram index over every known claim: id -> { claim, grams } and trigram -> ids
+const claimsById = new Map();
+const idsByTrigram = new Map();
+
+function rowToClaim(row) {
+  return {
+    id: row.id,
+    text: row.text,
+    verdict: row.verdict,
+    explanation: row.explanation,
+    sources: JSON.parse(row.sources),
+    tags: JSON.parse(row.tags),
+    reviewedBy: row.reviewed_by,
+    rating: row.rating,
+    publishedAt: row.published_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    matches: row.matches,
+    lastMatchedAt: row.last_matched_at
+  };
+}
+
+function indexClaim(row) {
+  unindexClaim(row.id);
+  const grams = trigrams(row.normalized);
+  claimsById.set(row.id, { claim: rowToClaim(row), grams });
+  for (const gram of grams) {
+    if (!idsByTrigram.has(gram)) idsByTrigram.set(gram, new Set());
+    idsByTrigram.get(gram).add(row.id);
+  }
+}
+
+function unindexClaim(id) {
+  const entry = claimsById.get(id);
+  if (!entry) return;
+  for (const gram of entry.grams) {
+    idsByTrigram.get(gram)?.delete(id);
+  }
+  claimsById.delete(id);
+}
+
+if (db) {
+  for (const row of db.prepare("SELECT * FROM known_claims").all()) {
+    indexClaim(row);
+  }
+  console.log(`📚 Loaded ${claimsById.size} known claims from ${KNOWN_CLAIMS_DB_FILE}`);
+}
+
+// Check a claim before it is stored. Returns the list of problems, empty when it is fine.
+function validateClaim({ text, verdict, explanation, sources, tags }) {
+  const problems = [];
+  if (typeof text !== "string" || !normalizeClaimText(text)) problems.push("text is required");
+  if (!VERDICTS.includes(verdict)) problems.push(`verdict must be one of ${VERDICTS.join(", ")}`);
+  if (typeof explanation !== "string" || !explanation.trim()) problems.push("explanation is required");
+  if (!Array.isArray(sources) || sources.some(source => !/^https?:\/\//i.test(source))) problems.push("sources must be a list of URLs");
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string")) problems.push("tags must be a list of strings");
+  return problems;
+}
+
+// Add a claim, or update the one with the same normalized text.
+// Returns { claim } or { error: "invalid", problems } / { error: "unavailable" }.
+export function saveKnownClaim({ text, verdict, explanation, sources = [], tags = [], reviewedBy = null, rating = null, publishedAt = null }) {
+  if (!db) return { error: "unavailable" };
+  const problems = validateClaim({ text, verdict, explanation, sources, tags });
+  if (problems.length > 0) return { error: "invalid", problems };
+
+  const now = new Date().toISOString();
+  const row = db.prepare(`
+    INSERT INTO known_claims (text, normalized, verdict, explanation, sources, tags, reviewed_by, rating, published_at, created_at, updated_at)
+    VALUES (@text, @normalized, @verdict, @explanation, @sources, @tags, @reviewedBy, @rating, @publishedAt, @now, @now)
+    ON CONFLICT (normalized) DO UPDATE SET
+      text = excluded.text, verdict = excluded.verdict, explanation = excluded.explanation, sources = excluded.sources,
+      tags = excluded.tags, reviewed_by = excluded.reviewed_by, rating = excluded.rating,
+      published_at = excluded.published_at, updated_at = excluded.updated_at
+    RETURNING *
+  `).get({
+    text: text.trim(),
+    normalized: normalizeClaimText(text),
+    verdict,
+    explanation: explanation.trim(),
+    sources: JSON.stringify(sources),
+    tags: JSON.stringify(tags.map(tag => tag.trim()).filter(Boolean)),
+    reviewedBy,
+    rating,
+    publishedAt,
+    now
+  });
+  indexClaim(row);
+  return { claim: rowToClaim(row) };
+}
+
+// Save many claims in one transaction. Returns { saved, skipped: [{ index, problems }] }.
+export function importKnownClaims(claims) {
+  if (!db) return { error: "unavailable" };
+  const skipped = [];
+  let saved = 0;
+  db.transaction(() => {
+    claims.forEach((claim, index) => {
+      const outcome = saveKnownClaim(claim);
+      if (outcome.error) {
+        skipped.push({ index, problems: outcome.problems });
+      } else {
+        saved++;
+      }
+    });
+  })();
+  console.log(`📚 Imported ${saved} known claims, skipped ${skipped.length}`);
+  return { saved, skipped };
+}
+
+export function deleteKnownClaim(id) {
+  if (!db) return false;
+  const { changes } = db.prepare("DELETE FROM known_claims WHERE id = ?").run(id);
+  unindexClaim(Number(id));
+  return changes > 0;
+}
+
+// All claims, newest first, optionally only those with a tag
+export function listKnownClaims({ tag, limit = 50, offset = 0 } = {}) {
+  return [...claimsById.values()]
+    .map(entry => entry.claim)
+    .filter(claim => !tag || claim.tags.includes(tag))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(offset, offset + limit);
+}
+
+// Known claims similar to the text, best first: [{ claim, score }] with score from 0 to 1.
+// The score averages the Dice coefficient of the two trigram sets with how much of the known claim
+// appears in the text, so a forward that wraps the claim in "URGENT, share now!" still matches.
+export function matchKnownClaims(text, { minScore = RELATED_MATCH, limit = MAX_RELATED } = {}) {
+  const normalized = normalizeClaimText(text || "");
+  if (!normalized || claimsById.size === 0) return [];
+
+  const grams = trigrams(normalized);
+  const shared = new Map();
+  for (const gram of grams) {
+    for (const id of idsByTrigram.get(gram) || []) {
+      shared.set(id, (shared.get(id) || 0) + 1);
+    }
+  }
+
+  return [...shared.entries()]
+    .map(([id, count]) => {
+      const { claim, grams: claimGrams } = claimsById.get(id);
+      const dice = (2 * count) / (grams.size + claimGrams.size);
+      const coverage = count / claimGrams.size;
+      return { claim, score: (dice + coverage) / 2 };
+    })
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function recordMatch(id) {
+  try {
+    db.prepare("UPDATE known_claims SET matches = matches + 1, last_matched_at = ? WHERE id = ?").run(new Date().toISOString(), id);
+    const entry = claimsById.get(id);
+    if (entry) entry.claim.matches++;
+  } catch (error) {
+    console.error("❌ Could not update known claim match count:", error.message);
+  }
+}
+
+// A strong match as a fact-check result, in the same shape the model's results have
+function knownClaimToResult({ claim, score }, text) {
+  return {
+    verdict: claim.verdict,
+    confidence: Math.round(score * 100) / 100,
+    claim_summary: claim.text,
+    explanation: claim.explanation,
+    evidence: claim.reviewedBy ? [`${claim.reviewedBy}${claim.rating ? `: ${claim.rating}` : ""}`] : [],
+    sources: claim.sources,
+    provider: KNOWN_CLAIMS_PROVIDER,
+    knownClaim: { id: claim.id, score },
+    checkedText: text
+  };
+}
+
+// Look the text up before asking a model: { result } holds the curated verdict when one matches strongly,
+// otherwise { related } lists near misses worth giving the model as context
+export function lookupKnownClaims(text) {
+  const matches = matchKnownClaims(text);
+  if (matches[0]?.score >= STRONG_MATCH) {
+    console.log(`📚 Known claim #${matches[0].claim.id} matches (${matches[0].score.toFixed(2)}):`, matches[0].claim.text.substring(0, 100));
+    recordMatch(matches[0].claim.id);
+    return { result: knownClaimToResult(matches[0], text), related: [] };
+  }
+  return { result: null, related: matches };
+}
+
+// Context block passed to the fact-checking model
+export function describeKnownClaimsForPrompt(related) {
+  if (!related || related.length === 0) return "";
+  const claims = related.map(({ claim }) =>
+    `"${claim.text}" was rated ${claim.verdict}${claim.reviewedBy ? ` by ${claim.reviewedBy}` : ""}: ${claim.explanation}${claim.sources.length ? ` (${claim.sources.join(", ")})` : ""}`);
+  return `Fact-checkers have already reviewed similar claims. They may or may not be the same claim as this one: ${claims.join("; ")}.`;
+}
+
+// Fact-checkers' rating labels ("Pants on Fire", "Missing context", "Mostly true") mapped to our verdicts.
+// Negated ratings ("Not true", "Inaccurate", "Not entirely correct") are caught before the positive words.
+function ratingToVerdict(rating) {
+  const label = String(rating || "").toLowerCase();
+  if (/partly|partially|half|mixed|mixture|misleading|mostly true|missing context|out of context|exaggerat/.test(label)) return "partially_true";
+  if (/\bnot\s+(entirely|quite|fully|completely|wholly|totally)\s+(true|correct|accurate)\b/.test(label)) return "partially_true";
+  if (/false|fake|hoax|scam|pants on fire|fabricated|baseless|wrong|satire/.test(label)) return "false";
+  if (/\b(not|no|never)\s+(\w+\s+){0,2}(true|correct|accurate)\b|\b(un|in)(true|correct|accurate)/.test(label)) return "false";
+  if (/\b(true|correct|accurate)\b/.test(label)) return "true";
+  return "unclear";
+}
+
+function isClaimReview(node) {
+  const type = node["@type"];
+  return Array.isArray(type) ? type.includes("ClaimReview") : type === "ClaimReview";
+}
+
+// Every ClaimReview object in a JSON-LD document, a list of them or a DataFeed of them
+function findClaimReviews(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findClaimReviews(child, found));
+  } else if (node && typeof node === "object") {
+    if (isClaimReview(node)) {
+      found.push(node);
+    } else {
+      Object.values(node).forEach(child => findClaimReviews(child, found));
+    }
+  }
+  return found;
+}
+
+// Known claims from ClaimReview JSON-LD (schema.org), as published by fact-checking organisations
+export function claimsFromClaimReview(document) {
+  return findClaimReviews(document).map(review => {
+    const rating = review.reviewRating?.alternateName || review.reviewRating?.name || null;
+    const reviewedBy = review.author?.name || (Array.isArray(review.author) ? review.author[0]?.name : null) || null;
+    const keywords = typeof review.keywords === "string" ? review.keywords.split(",") : review.keywords || [];
+    return {
+      text: review.claimReviewed,
+      verdict: ratingToVerdict(rating),
+      explanation: review.reviewBody || review.description || (rating && `Rated "${rating}"${reviewedBy ? ` by ${reviewedBy}` : ""}.`),
+      sources: review.url ? [review.url] : [],
+      tags: keywords.filter(keyword => typeof keyword === "string"),
+      reviewedBy,
+      rating,
+      publishedAt: review.datePublished || null
+    };
+  });
+}
+
+// Rows of a CSV file, handling quoted fields with commas, quotes and line breaks in them
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Known claims from a CSV file with a header row. Columns: claim (or text), verdict (or rating),
+// explanation, sources and tags (both separated by spaces or "|"), reviewed_by, published_at.
+export function claimsFromCsv(text) {
+  const [header = [], ...rows] = parseCsv(String(text || "").replace(/^\uFEFF/, ""));
+  const columns = header.map(name => name.trim().toLowerCase().replace(/\s+/g, "_"));
+  const list = value => (value || "").split(/[\s|]+/).filter(Boolean);
+
+  return rows.map(cells => {
+    const row = Object.fromEntries(columns.map((name, index) => [name, (cells[index] || "").trim()]));
+    const rating = row.rating || row.verdict || null;
+    return {
+      text: row.claim || row.text,
+      verdict: VERDICTS.includes(row.verdict) ? row.verdict : ratingToVerdict(rating),
+      explanation: row.explanation,
+      sources: list(row.sources),
+      tags: (row.tags || "").split(/[|,]/).map(tag => tag.trim()).filter(Boolean),
+      reviewedBy: row.reviewed_by || null,
+      rating,
+      publishedAt: row.published_at || null
+    };
+  });
+}
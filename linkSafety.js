@@ -0,0 +1,172 @@
+import axios from "axios";
+import net from "net";
+import { getScamScore } from "./scamMinderTool.js";
+import { displayUrl } from "./urlUtils.js";
+import { t } from "./i18n.js";
+
+const PHISHING_FEED_URL = process.env.PHISHING_FEED_URL || "https://openphish.com/feed.txt";
+const PHISHING_FEED_TTL_MS = 60 * 60 * 1000; // refresh the feed at most once an hour
+const PHISHING_FEED_RETRY_MS = 5 * 60 * 1000; // after a failed download, links are checked without it for a while
+const NEW_DOMAIN_DAYS = 30;
+const HIGH_SCAM_SCORE = 70;
+const MEDIUM_SCAM_SCORE = 40;
+
+let phishingHosts = new Set();
+let phishingFeedNextLoadAt = 0;
+let phishingFeedLoading = null;
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+// Load the known-phishing URL feed and keep only the hostnames. Links checked at the same time share
+// one download, and a failed one isn't tried again for PHISHING_FEED_RETRY_MS.
+function loadPhishingFeed() {
+  if (Date.now() < phishingFeedNextLoadAt) {
+    return Promise.resolve(phishingHosts);
+  }
+  if (!phishingFeedLoading) {
+    phishingFeedLoading = downloadPhishingFeed().finally(() => {
+      phishingFeedLoading = null;
+    });
+  }
+  return phishingFeedLoading;
+}
+
+async function downloadPhishingFeed() {
+  try {
+    const response = await axios.get(PHISHING_FEED_URL, { responseType: "text", timeout: 10000 });
+    const hosts = new Set();
+    for (const line of String(response.data).split("\n")) {
+      const host = getHostname(line.trim());
+      if (host) hosts.add(host);
+    }
+    phishingHosts = hosts;
+    phishingFeedNextLoadAt = Date.now() + PHISHING_FEED_TTL_MS;
+    console.log("🎣 Loaded phishing feed with", hosts.size, "hosts");
+  } catch (error) {
+    phishingFeedNextLoadAt = Date.now() + PHISHING_FEED_RETRY_MS;
+    console.error("❌ Failed to load phishing feed:", error.message);
+  }
+  return phishingHosts;
+}
+
+async function isOnPhishingList(hostname) {
+  const hosts = await loadPhishingFeed();
+  if (hosts.size === 0) return null;
+  return hosts.has(hostname);
+}
+
+// Second-level labels that country domains register names under (example.co.uk, example.com.br, example.gov.in)
+const COUNTRY_SECOND_LEVELS = ["co", "com", "net", "org", "gov", "edu", "ac", "gen", "ltd", "plc", "nic", "res", "mil", "or", "ne", "go"];
+
+// The domain someone registered, e.g. "example.co.uk" for "news.example.co.uk", or null when the hostname
+// is an IP address or itself a public suffix such as "co.uk"
+function registrableDomain(hostname) {
+  if (net.isIP(hostname)) return null;
+  const labels = hostname.split(".");
+  const countrySuffix = labels.at(-1).length === 2 && COUNTRY_SECOND_LEVELS.includes(labels.at(-2));
+  const suffixLength = countrySuffix ? 2 : 1;
+  if (labels.length <= suffixLength) return null;
+  return labels.slice(-(suffixLength + 1)).join(".");
+}
+
+// Look up when the registrable domain was registered via RDAP (the JSON successor to WHOIS)
+async function getDomainAgeDays(hostname) {
+  const domain = registrableDomain(hostname);
+  if (!domain) return null;
+
+  try {
+    const response = await axios.get(`https://rdap.org/domain/${domain}`, { timeout: 10000 });
+    const registration = response.data?.events?.find(event => event.eventAction === "registration");
+    if (registration?.eventDate) {
+      const registeredAt = new Date(registration.eventDate);
+      return Math.floor((Date.now() - registeredAt.getTime()) / (24 * 60 * 60 * 1000));
+    }
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error("❌ RDAP lookup failed for", domain, error.message);
+    }
+  }
+  return null;
+}
+
+function assessRisk({ scamScore, domainAgeDays, phishingListed }) {
+  if (phishingListed || (scamScore !== null && scamScore >= HIGH_SCAM_SCORE)) {
+    return "high";
+  }
+  if ((domainAgeDays !== null && domainAgeDays < NEW_DOMAIN_DAYS) ||
+      (scamScore !== null && scamScore >= MEDIUM_SCAM_SCORE)) {
+    return "medium";
+  }
+  if (scamScore === null && domainAgeDays === null && phishingListed === null) {
+    return "unknown";
+  }
+  return "low";
+}
+
+function describeSignals({ scamScore, domainAgeDays, phishingListed }) {
+  const signals = [];
+  if (phishingListed) signals.push("listed on a known phishing feed");
+  if (domainAgeDays !== null) {
+    signals.push(domainAgeDays < NEW_DOMAIN_DAYS
+      ? `domain registered only ${domainAgeDays} days ago`
+      : `domain registered ${Math.floor(domainAgeDays / 365)} years ago`);
+  }
+  if (scamScore !== null) signals.push(`scam score ${scamScore}/100`);
+  return signals.join(", ");
+}
+
+// Run every reputation lookup for a URL and combine them into one report.
+// url is where the link really leads; sharedUrl and redirects say how the sender's link got there.
+export async function checkLinkSafety(url, { sharedUrl = url, redirects = [] } = {}) {
+  const hostname = getHostname(url);
+  if (!hostname) {
+    return null;
+  }
+
+  console.log("🔐 Checking link safety for:", hostname);
+  const [scamScore, domainAgeDays, phishingListed] = await Promise.all([
+    getScamScore(url),
+    getDomainAgeDays(hostname),
+    isOnPhishingList(hostname)
+  ]);
+
+  const report = { url, sharedUrl, redirects, hostname, scamScore, domainAgeDays, phishingListed };
+  report.risk = assessRisk(report);
+  report.summary = describeSignals(report);
+  console.log("🔐 Link safety result:", report);
+  return report;
+}
+
+// Whether the link the sender saw points somewhere else (a shortener, a redirect to another site)
+function leadsElsewhere(report) {
+  return Boolean(report.sharedUrl) && getHostname(report.sharedUrl) !== report.hostname;
+}
+
+// Summary shown to the user in the reply: where a disguised link really leads, then the reputation
+export function formatLinkSafety(report, language) {
+  if (!report) return "";
+
+  const details = report.summary ? ` (${report.summary})` : "";
+  const safety = `🔐 ${t(language, "link_safety", { host: report.hostname })}: ${t(language, `link_risk_${report.risk}`)}${details}`;
+  return leadsElsewhere(report)
+    ? `🔀 ${t(language, "link_destination", { link: displayUrl(report.sharedUrl), host: report.hostname })}\n${safety}`
+    : safety;
+}
+
+// Context block passed to the fact-checking model
+export function describeLinkSafetyForPrompt(report) {
+  if (!report) return "";
+
+  const redirect = leadsElsewhere(report)
+    ? `The link ${report.sharedUrl} redirects${report.redirects?.length > 1 ? ` through ${report.redirects.length} hops` : ""} to ${report.url}. `
+    : "";
+  return `${redirect}Domain reputation check for ${report.hostname}: risk level ${report.risk}` +
+    (report.summary ? ` - ${report.summary}.` : ".") +
+    " Take this into account when judging whether the link is a scam or phishing attempt.";
+}
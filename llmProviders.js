@@ -0,0 +1,184 @@
+import { OpenAI } from "openai";
+import crypto from "crypto";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const BREAKER_THRESHOLD = Number(process.env.LLM_BREAKER_THRESHOLD || 3);
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 60000);
+
+function buildResponseFormat(jsonMode, schema) {
+  if (!schema || jsonMode === "none") return undefined;
+  if (jsonMode === "json_object") return { type: "json_object" };
+  return { type: "json_schema", json_schema: { name: "response", schema } };
+}
+
+// Any server that speaks the OpenAI chat completions API (Perplexity, OpenAI, vLLM, llama.cpp, Ollama...)
+export function createOpenAICompatibleProvider({
+  name,
+  baseURL,
+  apiKey,
+  model,
+  lightModel = model,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  jsonMode = "json_schema"
+}) {
+  const client = new OpenAI({
+    apiKey: apiKey || "not-needed", // local servers usually ignore the key
+    baseURL,
+    timeout: timeoutMs,
+    maxRetries: 0 // failover to the next provider instead of retrying here
+  });
+
+  return {
+    name,
+    // tier "light" is for cheap helper calls such as claim extraction
+    async complete({ messages, schema, tier = "pro" }) {
+      const selectedModel = tier === "light" ? lightModel : model;
+      const response = await client.chat.completions.create({
+        model: selectedModel,
+        messages,
+        response_format: buildResponseFormat(jsonMode, schema)
+      });
+      // Perplexity lists the pages its answer drew on as `citations` (older API) or `search_results`
+      const citations = response.citations || response.search_results?.map(result => result.url) || [];
+      return {
+        text: response.choices?.[0]?.message?.content || "",
+        model: selectedModel,
+        citations: citations.filter(url => typeof url === "string")
+      };
+    }
+  };
+}
+
+export function createPerplexityProvider() {
+  return createOpenAICompatibleProvider({
+    name: "perplexity",
+    baseURL: process.env.PERPLEXITY_BASE_URL || "https://api.perplexity.ai",
+    apiKey: process.env.PERPLEXITY_API_KEY,
+    model: process.env.PERPLEXITY_MODEL || "sonar-pro",
+    lightModel: process.env.PERPLEXITY_LIGHT_MODEL || "sonar",
+    timeoutMs: Number(process.env.PERPLEXITY_TIMEOUT_MS || DEFAULT_TIMEOUT_MS)
+  });
+}
+
+export function createCustomOpenAIProvider() {
+  return createOpenAICompatibleProvider({
+    name: process.env.OPENAI_COMPAT_NAME || "openai-compatible",
+    baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+    apiKey: process.env.OPENAI_COMPAT_API_KEY,
+    model: process.env.OPENAI_COMPAT_MODEL,
+    lightModel: process.env.OPENAI_COMPAT_LIGHT_MODEL || process.env.OPENAI_COMPAT_MODEL,
+    timeoutMs: Number(process.env.OPENAI_COMPAT_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+    jsonMode: process.env.OPENAI_COMPAT_JSON_MODE || "json_schema"
+  });
+}
+
+// Citations the mock "found": a fact-checker and an official source, only a low-quality blog, or none
+const MOCK_CITATIONS = [
+  ["https://www.snopes.com/fact-check/mock-claim/", "https://www.who.int/news/item/mock"],
+  ["https://mock-news.blogspot.com/2024/05/claim.html"],
+  []
+];
+
+// Deterministic offline provider for tests and local development.
+// The same input always produces the same answer, and no network is used.
+export function createMockProvider() {
+  return {
+    name: "mock",
+    async complete({ messages, schema }) {
+      const content = messages[messages.length - 1]?.content || "";
+      const digest = crypto.createHash("sha256").update(content).digest();
+
+      if (schema?.properties?.claims) {
+        const claims = content.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim().length > 20);
+        return { text: JSON.stringify({ claims: claims.length > 0 ? claims : [content] }), model: "mock" };
+      }
+
+      if (schema?.properties?.verdict) {
+        const verdicts = schema.properties.verdict.enum;
+        return {
+          citations: MOCK_CITATIONS[digest[2] % MOCK_CITATIONS.length],
+          text: JSON.stringify({
+            verdict: verdicts[digest[0] % verdicts.length],
+            confidence: Math.round((digest[1] / 255) * 100) / 100,
+            claim_summary: content.split("Content to analyze:").pop().trim().slice(0, 120),
+            explanation: "This is a deterministic answer from the mock provider.",
+            evidence: ["Mock evidence"],
+            sources: []
+          }),
+          model: "mock"
+        };
+      }
+
+      return { text: `Mock answer for: ${content.slice(0, 200)}`, model: "mock" };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  "perplexity": createPerplexityProvider,
+  "openai-compatible": createCustomOpenAIProvider,
+  "mock": createMockProvider
+};
+
+// Tries providers in order. A provider that keeps failing is skipped ("circuit open")
+// for a cooldown period, after which it gets one trial request again.
+export function createProviderChain(providers) {
+  const breakers = new Map(providers.map(provider => [provider.name, { failures: 0, openUntil: 0 }]));
+
+  async function complete(request) {
+    let lastError = new Error("No LLM providers configured");
+
+    for (const provider of providers) {
+      const breaker = breakers.get(provider.name);
+      if (breaker.openUntil > Date.now()) {
+        console.log(`⛔ Skipping ${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const { text, model, citations = [] } = await provider.complete(request);
+        breaker.failures = 0;
+        breaker.openUntil = 0;
+        return { text, provider: provider.name, model, citations };
+      } catch (error) {
+        lastError = error;
+        breaker.failures++;
+        console.error(`❌ LLM provider ${provider.name} failed (${breaker.failures} in a row):`, error.message);
+        if (breaker.failures >= BREAKER_THRESHOLD) {
+          breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+          console.log(`⛔ Opening circuit for ${provider.name} for ${BREAKER_COOLDOWN_MS / 1000}s`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  return {
+    complete,
+    names: providers.map(provider => provider.name)
+  };
+}
+
+// Build the failover chain from LLM_PROVIDERS, e.g. "perplexity,openai-compatible,mock"
+export function createProviderChainFromEnv() {
+  const names = (process.env.LLM_PROVIDERS || "perplexity")
+    .split(",")
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      console.error(`❌ Unknown LLM provider "${name}" in LLM_PROVIDERS, ignoring it`);
+      continue;
+    }
+    if (name === "openai-compatible" && !process.env.OPENAI_COMPAT_BASE_URL) {
+      console.error("❌ openai-compatible provider needs OPENAI_COMPAT_BASE_URL, ignoring it");
+      continue;
+    }
+    providers.push(factory());
+  }
+  return createProviderChain(providers);
+}
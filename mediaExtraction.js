@@ -0,0 +1,227 @@
+import speech from "@google-cloud/speech";
+import vision from "@google-cloud/vision";
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import { normalizeLanguageCode } from "./i18n.js";
+import { analyzeImage, hasImageSignals, describeTextFreeImage } from "./imageAnalysis.js";
+import { prepareAudioForSpeech, transcriptConfidence, AUDIO_MAX_SECONDS } from "./audioProcessing.js";
+import { extractVideoContent, VIDEO_MAX_MB, VIDEO_MAX_SECONDS } from "./videoProcessing.js";
+import { mapWithConcurrency } from "./concurrency.js";
+
+// Turning attachments into text: speech-to-text for voice notes, OCR for images, both for videos
+// and the text layer of PDFs. Attachments come from any channel; this only sees the downloaded bytes.
+
+// Google Cloud clients. GOOGLE_API_ENDPOINT (e.g. http://127.0.0.1:4010) sends their requests over REST to
+// another server instead, such as the test stubs or a recording proxy; no credentials are sent there.
+function googleClientOptions() {
+  const endpoint = process.env.GOOGLE_API_ENDPOINT;
+  if (!endpoint) return {};
+  const url = new URL(endpoint);
+  return {
+    apiEndpoint: url.hostname,
+    port: Number(url.port) || (url.protocol === "http:" ? 80 : 443),
+    protocol: url.protocol.replace(":", ""),
+    fallback: true,
+    auth: { getRequestHeaders: async () => ({}) }
+  };
+}
+
+let speechClient;
+let visionClient;
+try {
+  speechClient = new speech.SpeechClient(googleClientOptions());
+  visionClient = new vision.ImageAnnotatorClient(googleClientOptions());
+  console.log("Google Cloud Speech and Vision clients initialized");
+} catch (error) {
+  console.error("Failed to initialize Google Cloud clients:", error);
+  console.log("Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service account key is configured");
+}
+
+const SPEECH_CONCURRENCY = Number(process.env.SPEECH_CONCURRENCY || 2);
+const TRANSCRIPT_LOW_CONFIDENCE = Number(process.env.TRANSCRIPT_LOW_CONFIDENCE || 0.6);
+
+// Transcribe audio with Google Cloud Speech-to-Text. The format is detected from the audio itself
+// (contentType is only logged); long audio is converted, chunked and sent to long-running recognition.
+// Returns the transcript, the language Google recognised it as (e.g. "hi-in"), per-segment
+// confidence, the overall confidence and whether only the first AUDIO_MAX_SECONDS were transcribed.
+async function transcribeAudio(buffer, contentType = "audio/ogg") {
+  const empty = { transcript: "", languageCode: null, segments: [], confidence: null, truncated: false };
+  if (!speechClient) {
+    console.error("Google Cloud Speech client not initialized");
+    return empty;
+  }
+  
+  try {
+    console.log("Transcribing audio sent as", contentType);
+    const prepared = await prepareAudioForSpeech(buffer);
+    if (!prepared) {
+      return empty;
+    }
+
+    const config = {
+      ...prepared.config,
+      languageCode: 'en-US',
+      alternativeLanguageCodes: ['hi-IN', 'es-ES', 'fr-FR'], // Support multiple languages
+      enableAutomaticPunctuation: true,
+    };
+
+    // Chunks are recognised in parallel and stitched back together in order
+    const chunkResults = await mapWithConcurrency(prepared.chunks, SPEECH_CONCURRENCY, async chunk => {
+      const request = { audio: { content: chunk.toString('base64') }, config };
+      if (prepared.longRunning) {
+        const [operation] = await speechClient.longRunningRecognize(request);
+        const [response] = await operation.promise();
+        return response.results || [];
+      }
+      const [response] = await speechClient.recognize(request);
+      return response.results || [];
+    });
+
+    const results = chunkResults.flat().filter(result => result.alternatives?.[0]?.transcript);
+    const segments = results.map(result => ({
+      text: result.alternatives[0].transcript.trim(),
+      confidence: result.alternatives[0].confidence || 0
+    }));
+    const transcription = segments.map(segment => segment.text).join('\n');
+    const languageCode = results.find(result => result.languageCode)?.languageCode || null;
+    const confidence = transcriptConfidence(segments);
+
+    console.log('Google Speech transcription:', transcription, 'Language:', languageCode, 'Confidence:', confidence);
+    return { transcript: transcription || "", languageCode, segments, confidence, truncated: prepared.truncated };
+  } catch (err) {
+    console.error("Google Cloud Speech transcription error:", err);
+    return empty;
+  }
+}
+
+// Extract text from image using Google Cloud Vision API.
+// Returns the text and the locale Vision detected for it (e.g. "hi").
+async function extractTextFromImage(buffer, contentType = "image/jpeg") {
+  if (!visionClient) {
+    console.error("Google Cloud Vision client not initialized");
+    return { text: "", locale: null };
+  }
+
+  console.log("Starting Google Vision OCR text extraction...");
+  
+  try {
+    const [result] = await visionClient.textDetection({
+      image: {
+        content: buffer.toString('base64'),
+      },
+    });
+
+    const detections = result.textAnnotations;
+    const extractedText = detections && detections.length > 0 ? detections[0].description : '';
+    const locale = detections && detections.length > 0 ? detections[0].locale || null : null;
+    
+    console.log("Google Vision OCR extracted text:", extractedText, "Locale:", locale);
+    
+    return { text: extractedText.trim(), locale };
+  } catch (err) {
+    console.error("Google Cloud Vision OCR extraction error:", err);
+    return { text: "", locale: null };
+  }
+}
+
+// Extract the text layer of a PDF. Scanned PDFs without one come back empty.
+async function extractTextFromPDF(buffer) {
+  try {
+    const { text, numpages } = await pdfParse(buffer);
+    console.log(`📄 Extracted ${text.length} characters from ${numpages} PDF page(s)`);
+    return { text: text.trim() };
+  } catch (err) {
+    console.error("PDF text extraction error:", err.message);
+    return { text: "" };
+  }
+}
+
+// Which extractor handles an attachment: "image", "audio", "video" or "pdf", or null when we can't read it.
+// GIFs sent as image/gif are read like images; WhatsApp usually sends them as video/mp4.
+export function mediaKind(contentType = "") {
+  if (contentType.startsWith("image")) return "image";
+  if (contentType.startsWith("audio")) return "audio";
+  if (contentType.startsWith("video")) return "video";
+  if (contentType === "application/pdf") return "pdf";
+  return null;
+}
+
+// Speech from the audio track plus any on-screen text from a few keyframes.
+// Returns the same shape as extractAttachmentText, with `error` from extractVideoContent on failure.
+async function extractTextFromVideo(buffer) {
+  const video = await extractVideoContent(buffer);
+  if (video.error) {
+    return { text: "", languageHint: null, error: video.error };
+  }
+
+  const speech = video.audio ? await transcribeAudio(video.audio, "audio/ogg") : null;
+
+  // Captions usually stay on screen across several frames, so drop repeats
+  const screenTexts = [];
+  for (const frame of video.frames) {
+    const { text } = await extractTextFromImage(frame);
+    if (text && !screenTexts.includes(text)) screenTexts.push(text);
+  }
+
+  return {
+    text: [speech?.transcript, ...screenTexts].filter(Boolean).join("\n\n"),
+    languageHint: normalizeLanguageCode(speech?.languageCode),
+    transcription: speech?.transcript ? speech : null
+  };
+}
+
+// Why a video was refused, in words the sender can act on. null when it simply couldn't be read.
+export function videoLimitReason(error) {
+  if (error === "too_large") return { key: "video_too_large", params: { mb: VIDEO_MAX_MB } };
+  if (error === "too_long") return { key: "video_too_long", params: { seconds: VIDEO_MAX_SECONDS } };
+  return null;
+}
+
+// What the fact-check and the sender should know about a shaky transcription: low overall confidence,
+// segments speech recognition was unsure of, or audio cut at AUDIO_MAX_SECONDS. null when it looks fine.
+export function transcriptionWarning(number, { confidence, segments, truncated }) {
+  const lowConfidence = confidence !== null && confidence < TRANSCRIPT_LOW_CONFIDENCE;
+  const uncertainSegments = segments
+    .filter(segment => segment.confidence > 0 && segment.confidence < TRANSCRIPT_LOW_CONFIDENCE)
+    .slice(0, 5);
+  if (!lowConfidence && !truncated && uncertainSegments.length === 0) {
+    return null;
+  }
+  return { number, confidence: lowConfidence ? confidence : null, uncertainSegments, truncated };
+}
+
+export function describeTranscriptionForPrompt(warning) {
+  const parts = [`The text of attachment ${warning.number} comes from speech recognition` +
+    (warning.confidence !== null ? ` with only ${Math.round(warning.confidence * 100)}% confidence` : "") +
+    ", so some words may be misheard. Don't call a claim false just because of a word that may have been misheard."];
+  if (warning.uncertainSegments.length > 0) {
+    parts.push(`It was least sure about: ${warning.uncertainSegments.map(segment => `"${segment.text}" (${Math.round(segment.confidence * 100)}%)`).join("; ")}.`);
+  }
+  if (warning.truncated) {
+    parts.push(`Only the first ${Math.round(AUDIO_MAX_SECONDS / 60)} minutes were transcribed.`);
+  }
+  return parts.join(" ");
+}
+
+// Turn one downloaded attachment into text, with the language it was recognised as (if any)
+export async function extractAttachmentText(kind, buffer, contentType) {
+  if (kind === "video") {
+    return extractTextFromVideo(buffer);
+  }
+  if (kind === "audio") {
+    const speech = await transcribeAudio(buffer, contentType);
+    return { text: speech.transcript, languageHint: normalizeLanguageCode(speech.languageCode), transcription: speech };
+  }
+  if (kind === "image") {
+    const [{ text, locale }, imageAnalysis] = await Promise.all([
+      extractTextFromImage(buffer, contentType),
+      analyzeImage(buffer, visionClient)
+    ]);
+    // Photos without text are still checked, from what reverse image search knows about them
+    const content = text || (hasImageSignals(imageAnalysis) ? describeTextFreeImage(imageAnalysis) : "");
+    return { text: content, languageHint: normalizeLanguageCode(locale), imageAnalysis };
+  }
+  const { text } = await extractTextFromPDF(buffer);
+  return { text, languageHint: null };
+}
+
+export const NO_TEXT_MESSAGES = { audio: "audio_no_transcript", image: "image_no_text", pdf: "pdf_no_text", video: "video_no_text" };
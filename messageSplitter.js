@@ -0,0 +1,49 @@
+const PART_LABEL_RESERVE = 12; // room for the "(12/12)\n" label
+
+// Break one oversized paragraph at sentence ends, and a single huge sentence at spaces
+function splitParagraph(paragraph, limit) {
+  if (paragraph.length <= limit) return [paragraph];
+
+  const pieces = [];
+  let current = "";
+  for (const sentence of paragraph.split(/(?<=[.!?।])\s+/)) {
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) pieces.push(current);
+
+    current = sentence;
+    while (current.length > limit) {
+      const cut = current.lastIndexOf(" ", limit) > limit / 2 ? current.lastIndexOf(" ", limit) : limit;
+      pieces.push(current.slice(0, cut).trim());
+      current = current.slice(cut).trim();
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Split a long reply into WhatsApp-sized parts at paragraph and sentence boundaries.
+// When more than one part is needed, each gets a "(1/3)" style label.
+export function splitMessage(text, limit = 1500) {
+  const usable = limit - PART_LABEL_RESERVE;
+  if (text.length <= limit) return [text];
+
+  const paragraphs = text.split(/\n{2,}/).flatMap(paragraph => splitParagraph(paragraph.trim(), usable));
+  const parts = [];
+  let current = "";
+  for (const paragraph of paragraphs) {
+    const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (candidate.length <= usable) {
+      current = candidate;
+    } else {
+      parts.push(current);
+      current = paragraph;
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts.map((part, index) => `(${index + 1}/${parts.length})\n${part}`);
+}
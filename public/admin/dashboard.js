@@ -0,0 +1,206 @@
+// Moderator dashboard: reads the admin JSON API and redraws every minute.
+// The browser reuses the Basic auth credentials it was asked for when the page loaded.
+const REFRESH_MS = 60 * 1000;
+
+const VERDICT_LABELS = {
+  true: "✅ True",
+  false: "❌ False",
+  partially_true: "⚠️ Partly true",
+  unclear: "❔ Unclear"
+};
+
+const INPUT_LABELS = {
+  text: "Text",
+  url: "Link",
+  image: "Image",
+  audio: "Voice note",
+  video: "Video",
+  pdf: "PDF",
+  mixed: "Several attachments",
+  follow_up: "Follow-up question",
+  other: "Other"
+};
+
+function element(tag, properties = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), properties);
+  node.append(...children);
+  return node;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "";
+}
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "–";
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+async function fetchJSON(path, hours) {
+  const response = await fetch(`${path}?hours=${hours}&limit=15`, { headers: { Accept: "application/json" } });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `${path} answered ${response.status}`);
+  }
+  return data;
+}
+
+// Horizontal bars, one per key, scaled to the total
+function renderBars(container, counts, labels, className) {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  container.replaceChildren(...Object.entries(counts).map(([name, count]) => {
+    const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+    const fill = element("div", { className: `fill ${className ? name : ""}` });
+    fill.style.width = `${percent}%`;
+    return element("div", { className: "bar", title: `${count} (${percent}%)` }, [
+      element("span", { textContent: labels[name] || name }),
+      element("div", { className: "track" }, [fill]),
+      element("span", { textContent: String(count) })
+    ]);
+  }));
+  if (total === 0) {
+    container.replaceChildren(element("p", { className: "muted", textContent: "Nothing in this window." }));
+  }
+}
+
+function renderStats(stats) {
+  document.getElementById("checks").textContent = stats.checks;
+  document.getElementById("senders").textContent = stats.senders;
+  document.getElementById("error-rate").textContent = `${(stats.errorRate * 100).toFixed(1)}%`;
+  document.getElementById("cached").textContent = stats.cached;
+  const { p50, p90, p99 } = stats.latencyMs;
+  document.getElementById("latency").textContent = `${formatMs(p50)} / ${formatMs(p90)} / ${formatMs(p99)}`;
+  renderBars(document.getElementById("verdicts"), stats.verdicts, VERDICT_LABELS, true);
+  renderBars(document.getElementById("input-types"), stats.inputTypes, INPUT_LABELS, false);
+}
+
+function renderRows(tbody, rows, columns) {
+  tbody.replaceChildren(...rows.map(row => element("tr", {}, columns.map(column => column(row)))));
+  if (rows.length === 0) {
+    tbody.replaceChildren(element("tr", {}, [element("td", { colSpan: 6, className: "muted", textContent: "Nothing in this window." })]));
+  }
+}
+
+function renderClaims(claims) {
+  renderRows(document.getElementById("claims"), claims, [
+    claim => element("td", { textContent: claim.summary || "(no text)" }),
+    claim => element("td", { textContent: VERDICT_LABELS[claim.verdict] || "–" }),
+    claim => element("td", { className: "number", textContent: claim.senders }),
+    claim => element("td", { className: "number", textContent: claim.checks }),
+    claim => element("td", { textContent: (claim.inputTypes || "").split(",").map(type => INPUT_LABELS[type] || type).join(", ") }),
+    claim => element("td", { textContent: formatDate(claim.lastCheckedAt) })
+  ]);
+}
+
+function renderUrls(urls) {
+  renderRows(document.getElementById("urls"), urls, [
+    link => element("td", {}, [element("a", { href: link.url, textContent: link.url, target: "_blank", rel: "noopener noreferrer" })]),
+    link => element("td", { className: "number", textContent: link.senders }),
+    link => element("td", { className: "number", textContent: link.checks }),
+    link => element("td", { textContent: formatDate(link.lastCheckedAt) })
+  ]);
+}
+
+const REASON_LABELS = {
+  unclear: "Unclear verdict",
+  low_confidence: "Low confidence",
+  disputed: "Marked WRONG"
+};
+
+async function postJSON(path, body) {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error([data.error, ...(data.problems || []), data.claimedBy && `claimed by ${data.claimedBy}`].filter(Boolean).join(" - "));
+  }
+  return data;
+}
+
+function reviewerName() {
+  const name = document.getElementById("reviewer").value.trim();
+  if (!name) {
+    throw new Error("Enter your name above the review queue first");
+  }
+  localStorage.setItem("reviewer", name);
+  return name;
+}
+
+// Run a review action, then redraw; errors show in the banner at the top
+async function reviewAction(action) {
+  const errorBox = document.getElementById("error");
+  try {
+    await action();
+    errorBox.hidden = true;
+    await refresh();
+  } catch (error) {
+    errorBox.textContent = error.message;
+    errorBox.hidden = false;
+  }
+}
+
+function reviewForm(item) {
+  const verdict = element("select", {}, Object.entries(VERDICT_LABELS).map(([value, label]) => element("option", { value, textContent: label })));
+  const explanation = element("textarea", { placeholder: "Explanation sent to everyone who asked" });
+  const sources = element("input", { placeholder: "Source URLs, separated by spaces" });
+  const claim = element("button", { type: "button", textContent: item.status === "claimed" ? `Claimed by ${item.claimedBy}` : "Claim" });
+  const resolve = element("button", { type: "submit", textContent: "Resolve and notify" });
+
+  claim.addEventListener("click", () => reviewAction(() =>
+    postJSON(`api/reviews/${item.id}/claim`, { reviewer: reviewerName() })));
+  const form = element("form", { className: "review-form" }, [claim, verdict, explanation, sources, resolve]);
+  form.addEventListener("submit", event => {
+    event.preventDefault();
+    reviewAction(() => postJSON(`api/reviews/${item.id}/resolve`, {
+      reviewer: reviewerName(),
+      verdict: verdict.value,
+      explanation: explanation.value,
+      sources: sources.value.split(/\s+/).filter(Boolean)
+    }));
+  });
+  return form;
+}
+
+function renderReviews(items) {
+  renderRows(document.getElementById("reviews"), items, [
+    item => element("td", { textContent: item.text }),
+    item => element("td", { textContent: item.reasons.map(reason => REASON_LABELS[reason] || reason).join(", ") }),
+    item => element("td", { textContent: item.result ? `${VERDICT_LABELS[item.result.verdict] || "–"}: ${item.result.explanation || ""}` : "–" }),
+    item => element("td", { className: "number", textContent: item.askerCount }),
+    item => element("td", { textContent: item.status }),
+    item => element("td", {}, [reviewForm(item)])
+  ]);
+}
+
+async function refresh() {
+  const hours = document.getElementById("window").value;
+  const errorBox = document.getElementById("error");
+  try {
+    const [stats, claims, urls, reviews] = await Promise.all([
+      fetchJSON("api/stats", hours),
+      fetchJSON("api/claims", hours),
+      fetchJSON("api/urls", hours),
+      fetchJSON("api/reviews", hours)
+    ]);
+    renderStats(stats);
+    renderClaims(claims.claims);
+    renderUrls(urls.urls);
+    // Don't throw away a review someone is in the middle of writing
+    if (!document.querySelector("#reviews :focus")) {
+      renderReviews(reviews.items);
+    }
+    errorBox.hidden = true;
+    document.getElementById("updated").textContent = `Updated ${new Date().toLocaleTimeString()}`;
+  } catch (error) {
+    errorBox.textContent = error.message;
+    errorBox.hidden = false;
+  }
+}
+
+document.getElementById("reviewer").value = localStorage.getItem("reviewer") || "";
+document.getElementById("window").addEventListener("change", refresh);
+refresh();
+setInterval(refresh, REFRESH_MS);
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import { createStore } from "./keyValueStore.js";
+import { normalizeClaimText } from "./factCheckCache.js";
+import { VERDICTS } from "./verdict.js";
+
+// Checks a human should look at: unclear or low-confidence verdicts, and ones a user replied WRONG to.
+// A reviewer's verdict becomes an override that is used instead of the model for that claim from then on.
+const LOW_CONFIDENCE = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.5);
+export const HUMAN_REVIEWER = "human fact-checker";
+
+// Items keep the address of everyone who asked (their channel and where it replies to them), so they can be
+// told the reviewed verdict. The addresses are dropped as soon as the item is resolved.
+const reviewItems = createStore("file", process.env.REVIEW_QUEUE_FILE || "data/review-queue.json");
+const overrides = createStore("file", process.env.VERDICT_OVERRIDES_FILE || "data/verdict-overrides.json");
+// Who was given which verdict for a claim, so they hear when a reviewer changes it:
+// claimKey -> [{ sender, channel, replyTo, language, verdict, receivedAt }], kept for REVIEW_NOTIFY_DAYS
+const RECIPIENT_TTL_MS = Number(process.env.REVIEW_NOTIFY_DAYS || 30) * 24 * 60 * 60 * 1000;
+const MAX_RECIPIENTS_PER_CLAIM = 500;
+const verdictRecipients = createStore(
+  "file",
+  process.env.VERDICT_RECIPIENTS_FILE || "data/verdict-recipients.json",
+  { maxEntries: Number(process.env.VERDICT_RECIPIENTS_MAX_CLAIMS || 10000) }
+);
+
+// Same claim, however it was punctuated or capitalised, in any reply language
+export function claimKey(text) {
+  return crypto.createHash("sha256").update(normalizeClaimText(text)).digest("hex");
+}
+
+// Why a fresh result needs a human, or null. Reviewed results never go back automatically.
+export function reviewReason(result) {
+  if (result.reviewed) return null;
+  if (result.verdict === "unclear") return "unclear";
+  if (result.confidence < LOW_CONFIDENCE) return "low_confidence";
+  return null;
+}
+
+// Add a claim to the queue, or add the sender to the item already waiting for the same claim.
+// A dispute reopens a resolved item, since the human verdict may be wrong too.
+export function queueForReview({ text, result, reason, sender, channel, replyTo, language }) {
+  const key = claimKey(text);
+  const now = new Date().toISOString();
+  const existing = reviewItems.get(key);
+  if (existing?.status === "resolved" && reason !== "disputed") {
+    return existing;
+  }
+
+  let item = existing;
+  if (!item || item.status === "resolved") {
+    item = { id: key, text, status: "open", reasons: [], requests: 0, askers: [], createdAt: now, previousResolution: existing?.resolution || null };
+  }
+  if (!item.reasons.includes(reason)) item.reasons.push(reason);
+  item.requests++;
+  item.result = result;
+  item.updatedAt = now;
+  if (sender && !item.askers.some(asker => asker.sender === sender)) {
+    item.askers.push({ sender, channel, replyTo, language, askedAt: now });
+  }
+
+  reviewItems.set(key, item);
+  console.log(`🧑‍⚖️ Queued claim for review (${reason}):`, text.substring(0, 100));
+  return item;
+}
+
+// Someone else asked about a claim that is waiting for review: they get the reviewed verdict too
+export function addAskerIfPending({ text, sender, channel, replyTo, language }) {
+  const key = claimKey(text);
+  const item = reviewItems.get(key);
+  if (!item || item.status === "resolved" || item.askers.some(asker => asker.sender === sender)) return;
+
+  item.askers.push({ sender, channel, replyTo, language, askedAt: new Date().toISOString() });
+  item.requests++;
+  item.updatedAt = new Date().toISOString();
+  reviewItems.set(key, item);
+}
+
+// Note that a sender was given this verdict for a claim. Only their latest verdict is kept, and only for
+// the most recent MAX_RECIPIENTS_PER_CLAIM people.
+export function recordVerdictRecipient({ text, verdict, sender, channel, replyTo, language }) {
+  const key = claimKey(text);
+  const recipients = (verdictRecipients.get(key) || []).filter(recipient => recipient.sender !== sender);
+  recipients.push({ sender, channel, replyTo, language, verdict, receivedAt: new Date().toISOString() });
+  verdictRecipients.set(key, recipients.slice(-MAX_RECIPIENTS_PER_CLAIM), RECIPIENT_TTL_MS);
+}
+
+// What admins see: no phone numbers or chat ids, just how many people are waiting
+function publicItem({ askers, ...item }) {
+  return { ...item, askerCount: askers.length };
+}
+
+// status: "pending" (open or claimed), "open", "claimed", "resolved" or "all"; most-asked first
+export function listReviewItems(status = "pending") {
+  return reviewItems.entries()
+    .map(([, item]) => item)
+    .filter(item => status === "all" || item.status === status || (status === "pending" && item.status !== "resolved"))
+    .sort((a, b) => b.requests - a.requests || a.createdAt.localeCompare(b.createdAt))
+    .map(publicItem);
+}
+
+// Returns { item } or { error } with "not_found", "resolved" or "claimed" (by another reviewer)
+export function claimReviewItem(id, reviewer) {
+  const item = reviewItems.get(id);
+  if (!item) return { error: "not_found" };
+  if (item.status === "resolved") return { error: "resolved" };
+  if (item.status === "claimed" && item.claimedBy !== reviewer) return { error: "claimed", claimedBy: item.claimedBy };
+
+  const claimed = { ...item, status: "claimed", claimedBy: reviewer, claimedAt: new Date().toISOString() };
+  reviewItems.set(id, claimed);
+  console.log(`🧑‍⚖️ ${reviewer} claimed review item ${id}`);
+  return { item: publicItem(claimed) };
+}
+
+// Set the authoritative verdict for an item. Returns { item, override, askers, recipients } so the caller can
+// tell everyone waiting for it and everyone who was given a different verdict, or { error } with "not_found", "resolved", "claimed" or "invalid" (plus `problems`).
+export function resolveReviewItem(id, { verdict, explanation, claimSummary, sources = [], reviewer }) {
+  const item = reviewItems.get(id);
+  if (!item) return { error: "not_found" };
+  if (item.status === "resolved") return { error: "resolved" };
+  if (item.status === "claimed" && item.claimedBy !== reviewer) return { error: "claimed", claimedBy: item.claimedBy };
+
+  const problems = [];
+  if (!VERDICTS.includes(verdict)) problems.push(`verdict must be one of ${VERDICTS.join(", ")}`);
+  if (typeof explanation !== "string" || !explanation.trim()) problems.push("explanation is required");
+  if (!reviewer) problems.push("reviewer is required");
+  if (!Array.isArray(sources) || sources.some(source => !/^https?:\/\//i.test(source))) problems.push("sources must be a list of URLs");
+  if (problems.length > 0) return { error: "invalid", problems };
+
+  const now = new Date().toISOString();
+  const override = {
+    text: item.text,
+    verdict,
+    explanation: explanation.trim(),
+    claimSummary: (typeof claimSummary === "string" && claimSummary.trim()) || item.result?.claim_summary || item.text,
+    sources,
+    reviewedBy: reviewer,
+    reviewedAt: now
+  };
+  overrides.set(id, override);
+
+  const resolved = { ...item, status: "resolved", resolution: override, askers: [], updatedAt: now };
+  reviewItems.set(id, resolved);
+  // Later askers get the override, and are recorded again from then on
+  const recipients = (verdictRecipients.get(id) || [])
+    .filter(recipient => recipient.verdict !== verdict && !item.askers.some(asker => asker.sender === recipient.sender));
+  verdictRecipients.delete(id);
+  console.log(`🧑‍⚖️ ${reviewer} resolved review item ${id} as ${verdict}, notifying ${item.askers.length + recipients.length} sender(s)`);
+  return { item: publicItem(resolved), override, askers: item.askers, recipients };
+}
+
+// An override as a fact-check result, in the same shape the model's results have
+export function overrideToResult(override, text) {
+  return {
+    verdict: override.verdict,
+    confidence: 1,
+    claim_summary: override.claimSummary,
+    explanation: override.explanation,
+    evidence: [],
+    sources: override.sources,
+    provider: HUMAN_REVIEWER,
+    reviewed: true,
+    checkedText: text
+  };
+}
+
+// The human verdict for this claim, as a result, or null
+export function findOverride(text) {
+  if (!text) return null;
+  const override = overrides.get(claimKey(text));
+  return override ? overrideToResult(override, text) : null;
+}
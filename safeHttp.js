@@ -0,0 +1,131 @@
+import axios from "axios";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { unwrapRedirectUrl } from "./urlUtils.js";
+
+// Fetching URLs that users send us must never reach the bot's own network (SSRF):
+// localhost, private ranges, link-local cloud metadata (169.254.169.254) and the like.
+const MAX_BYTES = Number(process.env.URL_FETCH_MAX_BYTES || 2 * 1024 * 1024);
+const TIMEOUT_MS = Number(process.env.URL_FETCH_TIMEOUT_MS || 10000);
+const MAX_REDIRECTS = Number(process.env.URL_MAX_REDIRECTS || 5);
+const ALLOWED_PORTS = ["", "80", "443"];
+const USER_AGENT = "Mozilla/5.0 (compatible; FactCheckBot/2.0; +https://github.com/NerdNinzas/fact-check-bot)";
+
+const blockedRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  blockedRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["2001:db8::", 32]
+]) {
+  blockedRanges.addSubnet(network, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1) addresses are judged by their IPv4 part
+  const embeddedIPv4 = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+  if (embeddedIPv4) return blockedRanges.check(embeddedIPv4[1], "ipv4");
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// DNS lookup that refuses private addresses. Used by the agents below, so the check applies to the
+// address we actually connect to (also after redirects), which defeats DNS rebinding.
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Blocked request to private address ${blocked.address} (${hostname})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+// IP literals skip DNS, so they are checked here, along with the scheme and port
+function assertAllowedUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(`Blocked ${parsed.protocol} URL`);
+  }
+  if (!ALLOWED_PORTS.includes(parsed.port)) {
+    throw new Error(`Blocked request to port ${parsed.port}`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Blocked request to private address ${host}`);
+  }
+}
+
+// GET a user-supplied URL with SSRF protection, a size cap and a timeout.
+// Throws on blocked URLs like any other request error. The final URL after redirects is response.finalUrl.
+export async function safeGet(url, { maxBytes = MAX_BYTES, timeoutMs = TIMEOUT_MS, headers = {}, responseType = "text", maxRedirects = MAX_REDIRECTS } = {}) {
+  assertAllowedUrl(url);
+  const response = await axios.get(url, {
+    httpAgent,
+    httpsAgent,
+    proxy: false, // a proxy would do its own DNS lookup and bypass the check
+    timeout: timeoutMs,
+    signal: AbortSignal.timeout(timeoutMs),
+    maxContentLength: maxBytes,
+    maxRedirects,
+    responseType,
+    headers: { "User-Agent": USER_AGENT, ...headers },
+    beforeRedirect(options) {
+      assertAllowedUrl(options.href || `${options.protocol}//${options.host || options.hostname}${options.path || ""}`);
+    }
+  });
+  response.finalUrl = response.request?.res?.responseUrl || url;
+  return response;
+}
+
+// Follow a link's redirects one hop at a time, without downloading the pages, to find where it really leads.
+// Returns { url, finalUrl, redirects } where redirects lists every URL after the first, plus `error` when
+// the chain was cut short (blocked address, too many hops, timeout). finalUrl is then the last URL reached.
+export async function followRedirects(url, { maxHops = MAX_REDIRECTS, timeoutMs = TIMEOUT_MS } = {}) {
+  const redirects = [];
+  let current = url;
+  try {
+    for (;;) {
+      assertAllowedUrl(current);
+      const response = await axios.get(current, {
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        timeout: timeoutMs,
+        signal: AbortSignal.timeout(timeoutMs),
+        maxRedirects: 0,
+        responseType: "stream",
+        validateStatus: () => true,
+        headers: { "User-Agent": USER_AGENT }
+      });
+      response.data.destroy();
+
+      const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+      if (!location) {
+        return { url, finalUrl: current, redirects };
+      }
+      if (redirects.length >= maxHops) {
+        console.log("⚠️ Too many redirects for", url);
+        return { url, finalUrl: current, redirects, error: "too_many_redirects" };
+      }
+      current = unwrapRedirectUrl(new URL(location, current).toString());
+      redirects.push(current);
+    }
+  } catch (error) {
+    console.error("❌ Could not follow redirects for", url, error.message);
+    return { url, finalUrl: current, redirects, error: error.message };
+  }
+}
@@ -1,17 +1,24 @@
 import axios from "axios";
 
-export async function scamMinderTool(url) {
+// Raw scam score for a website, or null when ScamMinder can't be reached
+export async function getScamScore(url) {
+  if (!process.env.SCAMMINDER_API_KEY) {
+    return null;
+  }
+
   try {
     const res = await axios.post("https://scamminder.com/rest-api", {
       endpoint: "scam_score",
       website: url
     }, {
-      headers: { Authorization: `Bearer ${process.env.SCAMMINDER_API_KEY}` }
+      headers: { Authorization: `Bearer ${process.env.SCAMMINDER_API_KEY}` },
+      timeout: 10000
     });
-    
-    return `Scam Score for ${url}: ${res.data.body?.scam_score || "Unknown"}`;
+
+    const score = Number(res.data.body?.scam_score);
+    return Number.isFinite(score) ? score : null;
   } catch (err) {
-    console.error("ScamMinder API Error:", err);
-    return "Could not check scam status.";
+    console.error("ScamMinder API Error:", err.response?.status, err.message);
+    return null;
   }
 }
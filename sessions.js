@@ -0,0 +1,59 @@
+import { createStore } from "./keyValueStore.js";
+
+// Sessions end after this long without any message from the sender
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_MINUTES || 60) * 60 * 1000;
+const SESSION_HISTORY_SIZE = Number(process.env.SESSION_HISTORY_SIZE || 5);
+
+// Per-sender state (keyed by the WhatsApp "From" address), kept between webhook calls
+const sessionStore = createStore(
+  process.env.SESSION_BACKEND || "memory",
+  process.env.SESSION_FILE || "data/sessions.json",
+  { maxEntries: Number(process.env.SESSION_MAX_ENTRIES || 10000) }
+);
+
+export function getSession(sender) {
+  return sessionStore.get(sender) || {};
+}
+
+// Every update counts as activity and pushes the idle expiry back
+export function updateSession(sender, changes) {
+  const session = { ...getSession(sender), ...changes, updatedAt: new Date().toISOString() };
+  sessionStore.set(sender, session, SESSION_IDLE_MS);
+  return session;
+}
+
+export function resetSession(sender) {
+  sessionStore.delete(sender);
+}
+
+// Keep the last few checked claims and their verdicts so follow-up questions have context,
+// along with the language the sender was answered in. lastClaims is the latest message on its own,
+// for replies like WRONG.
+export function rememberChecks(sender, results, language) {
+  const checks = results.map(result => ({
+    text: result.checkedText,
+    claim: result.claim_summary,
+    verdict: result.verdict,
+    explanation: result.explanation,
+    evidence: result.evidence,
+    sources: result.sources,
+    checkedAt: new Date().toISOString()
+  }));
+  const history = [...(getSession(sender).history || []), ...checks].slice(-SESSION_HISTORY_SIZE);
+  return updateSession(sender, { history, lastClaims: checks, language });
+}
+
+// Long-lived per-sender settings (e.g. reply language). Unlike sessions they don't expire
+// and survive NEW.
+const preferenceStore = createStore(
+  process.env.SESSION_BACKEND || "memory",
+  process.env.PREFERENCES_FILE || "data/preferences.json"
+);
+
+export function getPreferences(sender) {
+  return preferenceStore.get(sender) || {};
+}
+
+export function setPreference(sender, name, value) {
+  preferenceStore.set(sender, { ...getPreferences(sender), [name]: value });
+}
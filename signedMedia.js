@@ -0,0 +1,83 @@
+import express from "express";
+import crypto from "crypto";
+
+// Short-lived public links to media the bot generated (voice replies), for channels such as Twilio
+// that fetch attachments by URL. Links are signed and expire, so nobody can list or guess them.
+// Each file is dropped once it has been downloaded in full, or when its link expires, whichever comes first.
+const MEDIA_TTL_MINUTES = Number(process.env.MEDIA_LINK_TTL_MINUTES || 60);
+// Memory held for media waiting to be fetched; the oldest files are dropped to stay under it
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_MB || 50) * 1024 * 1024;
+// Without MEDIA_SIGNING_SECRET a random key is used, so links stop working after a restart (as does the media)
+const SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+const MEDIA_EXTENSIONS = { "audio/ogg": "ogg" };
+
+// id -> { buffer, contentType, timer }, oldest first
+const mediaItems = new Map();
+let heldBytes = 0;
+
+function removeMedia(id) {
+  const media = mediaItems.get(id);
+  if (!media) return;
+  clearTimeout(media.timer);
+  mediaItems.delete(id);
+  heldBytes -= media.buffer.length;
+}
+
+function signature(id, expires) {
+  return crypto.createHmac("sha256", SIGNING_SECRET).update(`${id}.${expires}`).digest("hex");
+}
+
+export function isMediaHostingEnabled() {
+  return Boolean(process.env.PUBLIC_URL);
+}
+
+// Keep the media for MEDIA_LINK_TTL_MINUTES and return a signed URL under PUBLIC_URL. Returns null
+// without PUBLIC_URL or for a file bigger than MEDIA_MAX_MB on its own.
+export function publishMedia(buffer, contentType) {
+  if (!isMediaHostingEnabled() || buffer.length > MEDIA_MAX_BYTES) return null;
+
+  for (const oldest of mediaItems.keys()) {
+    if (heldBytes + buffer.length <= MEDIA_MAX_BYTES) break;
+    console.log("⚠️ Media memory full, dropping an unfetched file");
+    removeMedia(oldest);
+  }
+
+  const id = crypto.randomUUID();
+  const ttlMs = MEDIA_TTL_MINUTES * 60 * 1000;
+  const expires = Date.now() + ttlMs;
+  const timer = setTimeout(() => removeMedia(id), ttlMs).unref();
+  mediaItems.set(id, { buffer, contentType, timer });
+  heldBytes += buffer.length;
+
+  const baseUrl = process.env.PUBLIC_URL.replace(/\/$/, "");
+  return `${baseUrl}/media/${id}.${MEDIA_EXTENSIONS[contentType] || "bin"}?expires=${expires}&sig=${signature(id, expires)}`;
+}
+
+function isValidSignature(id, expires, sig) {
+  const expected = Buffer.from(signature(id, expires));
+  const given = Buffer.from(String(sig || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export function createMediaRouter() {
+  const router = express.Router();
+
+  // Expired, unknown and wrongly signed links all look the same from outside
+  router.get("/media/:file", (req, res) => {
+    const id = req.params.file.replace(/\.\w+$/, "");
+    const expires = Number(req.query.expires);
+    const media = mediaItems.get(id);
+    if (!media || !(expires > Date.now()) || !isValidSignature(id, req.query.expires, req.query.sig)) {
+      return res.sendStatus(404);
+    }
+    // Twilio fetches a file once, so it is dropped after a complete download. A HEAD probe or a
+    // download cut short leaves it for the retry.
+    if (req.method === "GET") {
+      res.on("finish", () => removeMedia(id));
+    }
+    res.set({ "Content-Type": media.contentType, "Cache-Control": "private, no-store" });
+    res.send(media.buffer);
+  });
+
+  return router;
+}
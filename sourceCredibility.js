@@ -0,0 +1,98 @@
+import { canonicalizeUrl } from "./urlUtils.js";
+
+// How much a verdict's sources can be trusted, by domain. A listed domain also covers its subdomains,
+// so "gov.in" matches pib.gov.in. Each list can be extended with a comma-separated env var.
+function domainList(defaults, envValue) {
+  const extra = (envValue || "").split(",").map(domain => domain.trim().toLowerCase().replace(/^www\./, "")).filter(Boolean);
+  return [...defaults, ...extra];
+}
+
+const SOURCE_TIERS = [
+  {
+    tier: "fact_checker",
+    score: 1,
+    domains: domainList([
+      "snopes.com", "factcheck.org", "politifact.com", "fullfact.org", "factcheck.afp.com", "apnews.com", "reuters.com",
+      "boomlive.in", "altnews.in", "factly.in", "newschecker.in", "vishvasnews.com", "maldita.es",
+      "newtral.es", "chequeado.com", "leadstories.com", "healthfeedback.org", "science.feedback.org"
+    ], process.env.FACT_CHECKER_DOMAINS)
+  },
+  {
+    tier: "official",
+    score: 0.9,
+    domains: domainList([
+      "gov", "mil", "gov.in", "nic.in", "gov.uk", "gouv.fr", "gob.es", "gob.mx", "gc.ca", "gov.au", "europa.eu",
+      "who.int", "un.org", "unicef.org", "worldbank.org", "imf.org"
+    ], process.env.OFFICIAL_DOMAINS)
+  },
+  {
+    tier: "low",
+    score: 0.1,
+    domains: domainList([
+      "blogspot.com", "wordpress.com", "medium.com", "substack.com", "facebook.com", "instagram.com", "tiktok.com",
+      "twitter.com", "x.com", "youtube.com", "youtu.be", "t.me", "whatsapp.com", "reddit.com", "quora.com",
+      "infowars.com", "naturalnews.com", "beforeitsnews.com", "zerohedge.com", "thegatewaypundit.com", "opindia.com", "postcard.news"
+    ], process.env.LOW_CREDIBILITY_DOMAINS)
+  }
+];
+const UNKNOWN_SCORE = 0.5;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+// { url, host, tier, score } for one source; tier is null for domains on no list
+export function scoreSource(url) {
+  const host = hostOf(url);
+  const match = host && SOURCE_TIERS.find(({ domains }) => domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+  return { url, host, tier: match ? match.tier : null, score: match ? match.score : UNKNOWN_SCORE };
+}
+
+// The sources the model named and the pages it searched, without duplicates, most credible first
+export function rankSources(...lists) {
+  const seen = new Set();
+  const scored = [];
+  for (const url of lists.flat()) {
+    if (typeof url !== "string" || !hostOf(url)) continue;
+    const key = canonicalizeUrl(url);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    scored.push(scoreSource(url));
+  }
+  // sort is stable, so sources of equal standing keep the order the model gave them
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+// Attach the scored citations to a model's verdict. A verdict backed only by low-credibility sources
+// (social media, blogs, known misinformation sites) is not trusted either way and becomes unclear.
+export function applySourceCredibility(result, citations = []) {
+  const sources = rankSources(result.sources || [], citations);
+  const scored = { ...result, sources: sources.map(source => source.url) };
+
+  const onlyLowCredibility = sources.length > 0 && sources.every(source => source.tier === "low");
+  if (onlyLowCredibility && result.verdict !== "unclear") {
+    console.log(`⚠️ Downgrading "${result.verdict}" to unclear: only low-credibility sources (${sources.map(source => source.host).join(", ")})`);
+    return { ...scored, verdict: "unclear", originalVerdict: result.verdict, downgraded: "low_credibility_sources" };
+  }
+  return scored;
+}
+
+// The most credible sources behind a set of results, for the end of a reply
+export function topSources(results, limit) {
+  return rankSources(...results.map(result => result.sources || [])).slice(0, limit);
+}
+
+// A source as a short link: no scheme, "www.", tracking parameters or fragment. The rest of the query
+// stays, since some pages are only addressed by it (youtube.com/watch?v=...).
+export function shortSourceLink(url) {
+  try {
+    const parsed = new URL(canonicalizeUrl(url));
+    return `${parsed.hostname}${parsed.pathname.replace(/\/+$/, "")}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,162 @@
+import { createStore } from "./keyValueStore.js";
+import { claimKey } from "./reviewQueue.js";
+
+// Opt-in alerts: people FOLLOW a claim they checked and hear when its verdict settles, or follow a topic
+// and get the alerts moderators broadcast about it. STOP turns every alert off.
+const FOLLOW_DAYS = Number(process.env.FOLLOW_DAYS || 14); // followed claims are re-checked for this long
+const ALERTS_PER_DAY = Number(process.env.ALERT_MAX_PER_DAY || 5); // proactive messages per person per day
+export const ALERT_TOPICS = (process.env.ALERT_TOPICS || "health,elections,scams,disasters")
+  .split(",").map(topic => topic.trim().toLowerCase()).filter(Boolean);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// claimKey -> { text, verdict, confidence, language, followers: [sender], createdAt, lastCheckedAt, expiresAt }
+const followedClaims = createStore("file", process.env.FOLLOWED_CLAIMS_FILE || "data/followed-claims.json");
+// sender -> { recipient: { sender, channel, replyTo, language }, topics, optedOut, alertTimes, lastMessageAt }
+const subscribers = createStore("file", process.env.ALERT_SUBSCRIBERS_FILE || "data/alert-subscribers.json");
+
+// Anyone who follows something has opted in again, even after STOP
+function saveRecipient(recipient, changes = {}) {
+  const existing = subscribers.get(recipient.sender) || { topics: [], alertTimes: [] };
+  const subscriber = { ...existing, recipient, optedOut: false, lastMessageAt: Date.now(), ...changes };
+  subscribers.set(recipient.sender, subscriber);
+  return subscriber;
+}
+
+// When subscribers last wrote to the bot, since WhatsApp only takes free-form messages within 24 hours of that
+export function noteMessageFrom(sender) {
+  const subscriber = subscribers.get(sender);
+  if (subscriber) {
+    subscribers.set(sender, { ...subscriber, lastMessageAt: Date.now() });
+  }
+}
+
+export function lastMessageTime(sender) {
+  return subscribers.get(sender)?.lastMessageAt ?? null;
+}
+
+// Follow claims from the sender's last check: [{ text, verdict, confidence }]. Returns how many are followed.
+export function followClaims(recipient, claims) {
+  saveRecipient(recipient);
+  const now = Date.now();
+  for (const claim of claims) {
+    const key = claimKey(claim.text);
+    const item = followedClaims.get(key) || {
+      text: claim.text,
+      verdict: claim.verdict,
+      confidence: claim.confidence ?? null,
+      language: recipient.language,
+      followers: [],
+      createdAt: new Date(now).toISOString(),
+      lastCheckedAt: null
+    };
+    if (!item.followers.includes(recipient.sender)) {
+      item.followers.push(recipient.sender);
+    }
+    // Each new follower keeps the claim watched for another FOLLOW_DAYS
+    item.expiresAt = now + FOLLOW_DAYS * DAY_MS;
+    followedClaims.set(key, item, FOLLOW_DAYS * DAY_MS);
+  }
+  console.log(`🔔 ${claims.length} claim(s) followed`);
+  return claims.length;
+}
+
+export function followTopic(recipient, topic) {
+  const topics = subscribers.get(recipient.sender)?.topics || [];
+  saveRecipient(recipient, { topics: topics.includes(topic) ? topics : [...topics, topic] });
+}
+
+export function unfollowTopic(sender, topic) {
+  const subscriber = subscribers.get(sender);
+  if (subscriber) {
+    subscribers.set(sender, { ...subscriber, topics: subscriber.topics.filter(name => name !== topic) });
+  }
+}
+
+// STOP: leave every followed claim and topic, and get no alerts until following something again
+export function stopAlerts(sender) {
+  for (const [key, item] of followedClaims.entries()) {
+    if (item.followers.includes(sender)) {
+      const followers = item.followers.filter(follower => follower !== sender);
+      if (followers.length === 0) {
+        followedClaims.delete(key);
+      } else {
+        followedClaims.set(key, { ...item, followers }, item.expiresAt - Date.now());
+      }
+    }
+  }
+  const subscriber = subscribers.get(sender);
+  if (subscriber) {
+    subscribers.set(sender, { ...subscriber, topics: [], optedOut: true });
+  }
+  console.log("🔕 A sender stopped all alerts");
+}
+
+// Where to reach the people following a claim, leaving out anyone who sent STOP
+export function claimFollowers(text) {
+  const item = followedClaims.get(claimKey(text));
+  if (!item) return [];
+  return item.followers
+    .map(sender => subscribers.get(sender))
+    .filter(subscriber => subscriber && !subscriber.optedOut)
+    .map(subscriber => subscriber.recipient);
+}
+
+export function topicSubscribers(topic) {
+  return subscribers.entries()
+    .map(([, subscriber]) => subscriber)
+    .filter(subscriber => !subscriber.optedOut && subscriber.topics.includes(topic))
+    .map(subscriber => subscriber.recipient);
+}
+
+// Followed claims not re-checked for at least `intervalMs`, oldest check first
+export function claimsDueForRecheck(intervalMs) {
+  const cutoff = Date.now() - intervalMs;
+  return followedClaims.entries()
+    .map(([, item]) => item)
+    .filter(item => !item.lastCheckedAt || Date.parse(item.lastCheckedAt) <= cutoff)
+    .sort((a, b) => (a.lastCheckedAt || "").localeCompare(b.lastCheckedAt || ""));
+}
+
+// Note that a followed claim was re-checked, and store its new verdict when there is one (null keeps the old
+// verdict, e.g. when the re-check was inconclusive). Returns the verdict it had before, or null if nobody follows it.
+export function recordFollowedVerdict(text, result) {
+  const key = claimKey(text);
+  const item = followedClaims.get(key);
+  if (!item) return null;
+  const verdict = result ? { verdict: result.verdict, confidence: result.confidence ?? null } : {};
+  followedClaims.set(key, { ...item, ...verdict, lastCheckedAt: new Date().toISOString() }, item.expiresAt - Date.now());
+  return item.verdict;
+}
+
+// Per-recipient throttle: true (and counted) while the person has had fewer than ALERT_MAX_PER_DAY alerts today
+export function takeAlertSlot(sender) {
+  const subscriber = subscribers.get(sender);
+  if (!subscriber || subscriber.optedOut) return false;
+
+  const now = Date.now();
+  const alertTimes = subscriber.alertTimes.filter(time => time > now - DAY_MS);
+  if (alertTimes.length >= ALERTS_PER_DAY) {
+    return false;
+  }
+  subscribers.set(sender, { ...subscriber, alertTimes: [...alertTimes, now] });
+  return true;
+}
+
+// For the admin API: people per topic and what is being followed, without any addresses
+export function subscriptionSummary() {
+  const active = subscribers.entries().map(([, subscriber]) => subscriber).filter(subscriber => !subscriber.optedOut);
+  const topics = Object.fromEntries(ALERT_TOPICS.map(topic => [topic, active.filter(subscriber => subscriber.topics.includes(topic)).length]));
+  const claims = followedClaims.entries()
+    .map(([id, item]) => ({
+      id,
+      text: item.text,
+      verdict: item.verdict,
+      confidence: item.confidence,
+      followers: item.followers.length,
+      lastCheckedAt: item.lastCheckedAt,
+      expiresAt: new Date(item.expiresAt).toISOString()
+    }))
+    .sort((a, b) => b.followers - a.followers);
+  return { topics, claims, optedOut: subscribers.entries().length - active.length };
+}
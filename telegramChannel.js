@@ -0,0 +1,154 @@
+import express from "express";
+import axios from "axios";
+import { telegramSecretCheck, checkRateLimit } from "./webhookSecurity.js";
+import { handleCommand, replyLanguage, checkInBackground } from "./factCheckPipeline.js";
+import { t } from "./i18n.js";
+
+// Telegram Bot API: the webhook at /telegram, file downloads and sendMessage replies.
+// Only mounted when TELEGRAM_BOT_TOKEN is set.
+const TELEGRAM_API = "https://api.telegram.org";
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const MAX_MESSAGE_LENGTH = 4096; // Telegram's limit for one text message
+const REQUEST_TIMEOUT_MS = 15000;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+export const isTelegramEnabled = Boolean(BOT_TOKEN);
+
+// Call a Bot API method. Errors carry Telegram's description, never the URL with the token in it.
+async function callTelegram(method, params) {
+  try {
+    const response = await axios.post(`${TELEGRAM_API}/bot${BOT_TOKEN}/${method}`, params, { timeout: REQUEST_TIMEOUT_MS });
+    return response.data.result;
+  } catch (error) {
+    throw new Error(`Telegram ${method} failed: ${error.response?.data?.description || error.code || error.message}`);
+  }
+}
+
+// Files are fetched by id: getFile gives a path that is valid for an hour. Bots can download up to 20 MB.
+async function downloadFile(fileId) {
+  const file = await callTelegram("getFile", { file_id: fileId });
+  try {
+    const response = await axios.get(`${TELEGRAM_API}/file/bot${BOT_TOKEN}/${file.file_path}`, {
+      responseType: "arraybuffer",
+      timeout: DOWNLOAD_TIMEOUT_MS
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error("Failed to download Telegram file:", error.response?.status || error.code);
+    throw new Error("Failed to download file from Telegram");
+  }
+}
+
+// Replies are plain text, so no parse_mode and nothing to escape
+async function sendTelegramMessage({ chatId }, text) {
+  const sent = await callTelegram("sendMessage", { chat_id: chatId, text: text.slice(0, MAX_MESSAGE_LENGTH) });
+  console.log("✅ Sent Telegram message:", sent.message_id);
+  return sent;
+}
+
+// Voice notes are uploaded with the request, so Telegram needs no public link
+async function sendTelegramVoice({ chatId }, audio) {
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("voice", new Blob([audio], { type: "audio/ogg" }), "verdict.ogg");
+  const sent = await callTelegram("sendVoice", form);
+  console.log("✅ Sent Telegram voice note:", sent.message_id);
+  return sent;
+}
+
+export const telegramChannel = {
+  name: "telegram",
+  maxMessageLength: MAX_MESSAGE_LENGTH,
+  conversational: true,
+  canDownloadMedia: () => isTelegramEnabled,
+  downloadAttachment: attachment => downloadFile(attachment.fileId),
+  canSend: () => isTelegramEnabled,
+  send: sendTelegramMessage,
+  canSendVoice: () => isTelegramEnabled,
+  sendVoice: sendTelegramVoice
+};
+
+// A Telegram message carries at most one file: the largest size of a photo, or a voice note, audio file,
+// video, round video note, GIF animation or document (PDFs, images sent as files)
+function getAttachments(message) {
+  const photo = message.photo?.[message.photo.length - 1];
+  if (photo) {
+    return [{ number: 1, contentType: "image/jpeg", fileId: photo.file_id }];
+  }
+
+  const file = message.voice || message.audio || message.video || message.video_note || message.animation || message.document;
+  if (!file) {
+    return [];
+  }
+  const contentType = file.mime_type || (message.voice ? "audio/ogg" : message.video_note ? "video/mp4" : "");
+  return [{ number: 1, contentType, fileId: file.file_id }];
+}
+
+// Bot commands come as "/more" or "/lang@SomeBot hi"; the pipeline knows them as "MORE" and "LANG hi"
+function commandText(text) {
+  return text.replace(/^\/(\w+)(@\w+)?/, (match, command) => command.toUpperCase());
+}
+
+// A Telegram update as a pipeline message, or null for updates that aren't new messages (edits, joins, ...)
+function toMessage(update) {
+  const message = update.message;
+  if (!message || !message.chat) {
+    return null;
+  }
+
+  const attachments = getAttachments(message);
+  const text = message.text ?? message.caption ?? "";
+  if (!text && attachments.length === 0) {
+    return null;
+  }
+  return {
+    channel: "telegram",
+    id: `telegram-${update.update_id}`,
+    sender: `telegram:${message.chat.id}`,
+    replyTo: { chatId: message.chat.id },
+    text: commandText(text),
+    attachments
+  };
+}
+
+// Handle one update after the webhook has been answered. Everything is sent through sendMessage.
+async function handleUpdate(update) {
+  const message = toMessage(update);
+  if (!message) {
+    return;
+  }
+  const send = text => sendTelegramMessage(message.replyTo, text);
+
+  const limited = checkRateLimit(message.sender);
+  if (limited) {
+    console.warn(`🚫 Rejected Telegram update from ${message.sender}: ${limited === "busy" ? "global" : "sender"} rate limit reached`);
+    return send(t(replyLanguage(message), limited));
+  }
+
+  // Every chat starts with /start
+  if (/^(START|HELP)$/.test(message.text.trim())) {
+    return send(t(replyLanguage(message), "welcome"));
+  }
+
+  const commandReply = handleCommand(message);
+  if (commandReply) {
+    for (const part of commandReply) {
+      await send(part);
+    }
+  } else if (checkInBackground(message)) {
+    await send(t(replyLanguage(message), "checking"));
+  }
+}
+
+export function createTelegramRouter() {
+  const router = express.Router();
+
+  // Telegram redelivers an update until it gets a 200, so answer first and work afterwards
+  router.post("/telegram", telegramSecretCheck, express.json(), (req, res) => {
+    console.log("=== TELEGRAM UPDATE ===", req.body?.update_id);
+    res.sendStatus(200);
+    handleUpdate(req.body || {}).catch(error => console.error("❌ Telegram update failed:", error.message));
+  });
+
+  return router;
+}
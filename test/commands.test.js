@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCommand } from "../commands.js";
+import { isFollowUpQuestion } from "../followUps.js";
+
+test("keywords on their own are commands, in any case", () => {
+  assert.deepEqual(parseCommand("MORE"), { keyword: "MORE", argument: "" });
+  assert.deepEqual(parseCommand("  full "), { keyword: "FULL", argument: "" });
+  assert.deepEqual(parseCommand("New"), { keyword: "NEW", argument: "" });
+  assert.deepEqual(parseCommand("lang"), { keyword: "LANG", argument: "" });
+  assert.deepEqual(parseCommand("history"), { keyword: "HISTORY", argument: "" });
+  assert.deepEqual(parseCommand("Wrong"), { keyword: "WRONG", argument: "" });
+  assert.deepEqual(parseCommand("follow"), { keyword: "FOLLOW", argument: "" });
+  assert.deepEqual(parseCommand("UNFOLLOW"), { keyword: "UNFOLLOW", argument: "" });
+  assert.deepEqual(parseCommand("stop"), { keyword: "STOP", argument: "" });
+});
+
+test("FOLLOW takes a claim number or an alert topic, UNFOLLOW a topic", () => {
+  assert.deepEqual(parseCommand("FOLLOW 2"), { keyword: "FOLLOW", argument: "2" });
+  assert.deepEqual(parseCommand("follow Health"), { keyword: "FOLLOW", argument: "Health" });
+  assert.deepEqual(parseCommand("UNFOLLOW scams"), { keyword: "UNFOLLOW", argument: "scams" });
+});
+
+test("WRONG takes a claim number", () => {
+  assert.deepEqual(parseCommand("WRONG 2"), { keyword: "WRONG", argument: "2" });
+});
+
+test("LANG takes a language code or name", () => {
+  assert.deepEqual(parseCommand("LANG hi"), { keyword: "LANG", argument: "hi" });
+  assert.deepEqual(parseCommand("lang hi-IN"), { keyword: "LANG", argument: "hi-IN" });
+  assert.deepEqual(parseCommand("LANG Spanish"), { keyword: "LANG", argument: "Spanish" });
+});
+
+test("claims that start with a keyword are not commands", () => {
+  const claims = [
+    "New study proves 5G causes covid",
+    "New vaccine rules",
+    "More than 500 people died after the booster",
+    "More proof",
+    "Full moon tonight causes earthquakes",
+    "Lang Lang cancelled all his concerts",
+    "Language matters",
+    "History shows vaccines caused the 1918 flu",
+    "History repeats",
+    "Wrong, the moon landing was faked",
+    "Wrong information everywhere",
+    "WRONG again",
+    "Follow the money: the minister owns the vaccine factory",
+    "Follow me",
+    "Unfollow him",
+    "Stop the vaccine rollout, it kills",
+    "STOP now",
+    "Stop!"
+  ];
+  for (const claim of claims) {
+    assert.equal(parseCommand(claim), null, claim);
+  }
+});
+
+test("empty messages are not commands", () => {
+  assert.equal(parseCommand(""), null);
+  assert.equal(parseCommand(undefined), null);
+});
+
+const afterACheck = { history: [{ claim: "Drinking hot water cures covid", verdict: "false" }] };
+
+test("short questions about the last check are follow-ups", () => {
+  const questions = [
+    "why?", "Why", "source?", "Sources", "are you sure?", "Really??", "what's the source?", "says who",
+    "Is that true?", "but why is it false?", "tell me more please", "how do you know", "kyun?", "सबूत?"
+  ];
+  for (const question of questions) {
+    assert.equal(isFollowUpQuestion(question, afterACheck), true, question);
+  }
+});
+
+test("new claims that start or end like a follow-up are not follow-ups", () => {
+  const claims = [
+    "Govt is giving 5000 rupees to every woman from tomorrow, is that true?",
+    "Evidence shows vaccines cause autism",
+    "Why did RBI ban the 500 rupee note again?",
+    "Sure cure for diabetes: boil bitter gourd leaves and drink every morning",
+    "Really? Aliens landed in Delhi yesterday",
+    "Tell me more about the new 2000 rupee note",
+    "Source: WHO says masks cause cancer"
+  ];
+  for (const claim of claims) {
+    assert.equal(isFollowUpQuestion(claim, afterACheck), false, claim);
+  }
+});
+
+test("nothing is a follow-up before the first check", () => {
+  assert.equal(isFollowUpQuestion("why?", { history: [] }), false);
+});
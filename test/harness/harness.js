@@ -0,0 +1,204 @@
+import http from "http";
+import dns from "dns";
+import net from "net";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import twilio from "twilio";
+import { startStubServer, upstreamHosts } from "./stubServer.js";
+import { t, LANGUAGE_NAMES } from "../../i18n.js";
+
+// Runs the whole bot in this process against the stub server, replaying recorded webhooks.
+// Every setting is fixed here, so the developer's .env and shell don't change the results.
+const AUTH_TOKEN = "test-auth-token";
+const PUBLIC_URL = "https://fact-check-bot.test";
+const BOT_NUMBER = "whatsapp:+14155238886";
+const QUIET_MS = 400; // no new REST messages for this long means the reply is complete
+const REPLY_TIMEOUT_MS = 15000;
+const RECORDING_TIMEOUT_MS = 120000; // the real services can take a while for a forward with several claims
+
+function testEnvironment(stubUrl, dataDir) {
+  const dataFile = name => path.join(dataDir, name);
+  return {
+    NODE_ENV: "test",
+    PUBLIC_URL,
+    TWILIO_ACCOUNT_SID: "AC00000000000000000000000000000000",
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_API_BASE_URL: `${stubUrl}/twilio`,
+    LLM_PROVIDERS: "perplexity",
+    PERPLEXITY_API_KEY: "test-perplexity-key",
+    PERPLEXITY_BASE_URL: `${stubUrl}/perplexity`,
+    GOOGLE_API_ENDPOINT: stubUrl,
+    CUSTOM_FACT_CHECK_API: `${stubUrl}/transcript`,
+    PHISHING_FEED_URL: `${stubUrl}/phishing-feed`,
+    // The same audio path on every machine: without ffmpeg, voice notes go to Google as they are
+    FFMPEG_PATH: path.join(dataDir, "no-ffmpeg"),
+    FFPROBE_PATH: path.join(dataDir, "no-ffprobe"),
+    TTS_BACKEND: "none",
+    QUEUE_BACKEND: "memory",
+    QUEUE_MAX_ATTEMPTS: "1",
+    SESSION_BACKEND: "memory",
+    CACHE_BACKEND: "memory",
+    FOLLOW_RECHECK_HOURS: "0",
+    RATE_LIMIT_SENDER_PER_MINUTE: "1000",
+    RATE_LIMIT_SENDER_PER_HOUR: "1000",
+    RATE_LIMIT_GLOBAL_PER_MINUTE: "1000",
+    AUDIT_DB_FILE: dataFile("audit.db"),
+    AUDIT_HASH_SECRET_FILE: dataFile("audit-hash-secret"),
+    KNOWN_CLAIMS_DB_FILE: dataFile("known-claims.db"),
+    REVIEW_QUEUE_FILE: dataFile("review-queue.json"),
+    VERDICT_OVERRIDES_FILE: dataFile("verdict-overrides.json"),
+    VERDICT_RECIPIENTS_FILE: dataFile("verdict-recipients.json"),
+    KNOWN_IMAGES_FILE: dataFile("known-images.json"),
+    FOLLOWED_CLAIMS_FILE: dataFile("followed-claims.json"),
+    ALERT_SUBSCRIBERS_FILE: dataFile("alert-subscribers.json"),
+    CACHE_FILE: dataFile("fact-check-cache.json"),
+    SESSION_FILE: dataFile("sessions.json"),
+    PREFERENCES_FILE: dataFile("preferences.json")
+  };
+}
+
+// Settings that would send requests elsewhere or turn away the test senders
+const CLEARED_SETTINGS = [
+  "OPENAI_COMPAT_BASE_URL", "OPENAI_COMPAT_API_KEY", "SCAMMINDER_API_KEY", "TELEGRAM_BOT_TOKEN",
+  "SENDER_ALLOWLIST", "SENDER_DENYLIST", "CHECK_API_KEY", "ADMIN_TOKEN", "AUDIT_HASH_SECRET"
+];
+
+// Any host name other than localhost (and, while recording, the real services) fails to resolve, so link
+// checks, page fetches and reputation lookups behave as if offline, the same when recording as when replaying
+function blockOutsideNetwork(allowedHosts = []) {
+  const lookup = dns.lookup;
+  dns.lookup = (hostname, options, callback) => {
+    if (typeof options === "function") {
+      [options, callback] = [{}, options];
+    }
+    if (hostname === "localhost" || net.isIP(hostname) || allowedHosts.includes(hostname)) {
+      return lookup(hostname, options, callback);
+    }
+    const error = Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname} (tests run offline)`), { code: "ENOTFOUND", hostname });
+    process.nextTick(callback, error);
+  };
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// The text of each <Message> in a TwiML response
+export function twimlMessages(xml) {
+  return [...xml.matchAll(/<Message>([\s\S]*?)<\/Message>/g)].map(([, body]) => unescapeXml(body));
+}
+
+const VERDICT_LABELS = ["true", "false", "partially_true", "unclear"].flatMap(verdict =>
+  Object.keys(LANGUAGE_NAMES).map(language => ({ verdict, label: t(language, `verdict_${verdict}`) })));
+
+// The verdicts a reply shows, in order, whatever language it is in
+export function detectVerdicts(bodies) {
+  return bodies.join("\n").split("\n").flatMap(line => {
+    const found = VERDICT_LABELS.find(({ label }) => line.includes(label));
+    return found ? [found.verdict] : [];
+  });
+}
+
+const ACKNOWLEDGEMENTS = Object.keys(LANGUAGE_NAMES).map(language => t(language, "checking"));
+
+function isAcknowledgement(body) {
+  return ACKNOWLEDGEMENTS.includes(body);
+}
+
+// The webhook Twilio would send for a fixture step. "media:<id>" URLs point at the fixture's media on the stub server.
+function webhookParams(step, fixture, index, stubUrl) {
+  const params = {
+    MessageSid: `SM${fixture.name.replace(/\W/g, "")}${index}`,
+    To: BOT_NUMBER,
+    NumMedia: "0",
+    ...step.webhook
+  };
+  for (const [name, value] of Object.entries(params)) {
+    if (typeof value === "string" && value.startsWith("media:")) {
+      params[name] = `${stubUrl}/media/${encodeURIComponent(value.slice("media:".length))}`;
+    }
+  }
+  return params;
+}
+
+export async function startHarness({ upstream = null } = {}) {
+  const stub = await startStubServer({ upstream });
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "fact-check-test-"));
+  CLEARED_SETTINGS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, testEnvironment(stub.url, dataDir));
+  blockOutsideNetwork(upstream ? upstreamHosts(upstream) : []);
+
+  // Imported only now, since every module reads its settings on import
+  const { createApp } = await import("../../app.js");
+  const server = http.createServer(createApp());
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const appUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // POST a signed webhook to /whatsapp and return the TwiML reply
+  async function sendWebhook(params) {
+    const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${PUBLIC_URL}/whatsapp`, params);
+    const response = await fetch(`${appUrl}/whatsapp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature },
+      body: new URLSearchParams(params)
+    });
+    if (response.status !== 200) {
+      throw new Error(`/whatsapp answered ${response.status}: ${await response.text()}`);
+    }
+    return response.text();
+  }
+
+  // Wait until at least `count` REST messages reached `to` and then nothing more arrived for QUIET_MS
+  async function collectMessages(to, since, count) {
+    const startedAt = Date.now();
+    let seen = -1;
+    let quietSince = Date.now();
+    for (;;) {
+      const messages = stub.sentMessages.slice(since).filter(message => message.to === to);
+      if (messages.length !== seen) {
+        seen = messages.length;
+        quietSince = Date.now();
+      }
+      if (messages.length >= count && Date.now() - quietSince >= QUIET_MS) {
+        return messages;
+      }
+      if (Date.now() - startedAt > (upstream ? RECORDING_TIMEOUT_MS : REPLY_TIMEOUT_MS)) {
+        return messages;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  // Replay every step of a fixture. Returns what the bot answered: per step the TwiML messages and the
+  // bodies sent through the REST API, plus the requests no recording matched.
+  async function runFixture(fixture) {
+    stub.load(fixture);
+    const steps = [];
+    for (const [index, step] of fixture.steps.entries()) {
+      const params = webhookParams(step, fixture, index, stub.url);
+      const since = stub.sentMessages.length;
+      const twiml = twimlMessages(await sendWebhook(params));
+      // Without an expectation yet (recording, new fixtures) an acknowledgement means the verdict follows over REST
+      const expected = step.expect?.messages?.length ?? (twiml.some(isAcknowledgement) ? 1 : 0);
+      const messages = await collectMessages(params.From, since, expected);
+      steps.push({ twiml, messages: messages.map(message => message.body) });
+    }
+    return { steps, misses: [...stub.misses] };
+  }
+
+  return {
+    stub,
+    runFixture,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await stub.close();
+      await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,169 @@
+import http from "http";
+import { isDeepStrictEqual } from "util";
+
+// One local HTTP server standing in for every outside service the bot calls during a test:
+//   /perplexity/...             Perplexity chat completions (PERPLEXITY_BASE_URL)
+//   /v1/images:annotate         Google Vision, over REST (GOOGLE_API_ENDPOINT)
+//   /v1/speech:..., /v1/operations/...  Google Speech-to-Text and its long-running operations
+//   /transcript                 the remote transcript service (CUSTOM_FACT_CHECK_API)
+//   /twilio/...                 the Twilio REST API (TWILIO_API_BASE_URL); sent messages are kept, not delivered
+//   /media/<id>                 media files the webhooks point at, as Twilio would host them
+//   /phishing-feed              an empty phishing feed (PHISHING_FEED_URL)
+//
+// Replies come from the fixture's recorded exchanges: { service, match, response: { status, body } }.
+// A request is answered by the first unused exchange of its service whose `match` equals the request's,
+// so the order in which concurrent claims are checked doesn't matter.
+// In recording mode requests are forwarded to the real services instead, and every exchange is kept.
+
+const PERPLEXITY_URL = "https://api.perplexity.ai";
+const GOOGLE_HOSTS = { vision: "https://vision.googleapis.com", speech: "https://speech.googleapis.com" };
+
+// What identifies a request to a recorded service, independent of prompts and settings that may change
+function describeRequest(method, pathname, body) {
+  if (pathname.startsWith("/perplexity/")) {
+    const properties = body?.response_format?.json_schema?.schema?.properties || {};
+    const kind = properties.claims ? "claims" : properties.verdict ? "verdict" : "text";
+    const lastMessage = String(body?.messages?.at(-1)?.content || "");
+    const content = kind === "verdict" ? lastMessage.split("Content to analyze:").pop().trim() : lastMessage;
+    return { service: "perplexity", match: { kind, content } };
+  }
+  if (pathname.startsWith("/v1/images:")) {
+    return { service: "vision", match: { feature: body?.requests?.[0]?.features?.[0]?.type ?? null } };
+  }
+  if (pathname.startsWith("/v1/speech:")) {
+    return { service: "speech", match: { method: pathname.slice("/v1/speech:".length) } };
+  }
+  if (pathname.startsWith("/v1/operations/")) {
+    return { service: "speech", match: { method: "operation" } };
+  }
+  if (pathname === "/transcript" && method === "POST") {
+    return { service: "transcript", match: { url: body?.url ?? null } };
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Hosts the stub server talks to while recording, including Google's token endpoint
+export function upstreamHosts(upstream) {
+  const hosts = [PERPLEXITY_URL, ...Object.values(GOOGLE_HOSTS), "https://oauth2.googleapis.com"].map(url => new URL(url).hostname);
+  if (upstream.transcriptUrl) hosts.push(new URL(upstream.transcriptUrl).hostname);
+  return hosts;
+}
+
+// upstream (recording mode only): { perplexityApiKey, transcriptUrl, googleAccessToken() }
+async function forward(upstream, service, req, text) {
+  const url = new URL(req.url, "http://stub");
+  let target;
+  const headers = { "Content-Type": "application/json" };
+  if (service === "perplexity") {
+    target = PERPLEXITY_URL + url.pathname.replace(/^\/perplexity/, "") + url.search;
+    headers.Authorization = `Bearer ${upstream.perplexityApiKey}`;
+  } else if (service === "transcript") {
+    target = upstream.transcriptUrl;
+  } else {
+    target = (service === "vision" ? GOOGLE_HOSTS.vision : GOOGLE_HOSTS.speech) + url.pathname + url.search;
+    headers.Authorization = `Bearer ${await upstream.googleAccessToken()}`;
+  }
+
+  const response = await fetch(target, { method: req.method, headers, body: req.method === "GET" ? undefined : text });
+  const body = await response.text();
+  return { status: response.status, body: parseJSON(body) ?? body };
+}
+
+export async function startStubServer({ upstream = null } = {}) {
+  let exchanges = [];
+  let used = new Set();
+  let media = {};
+  const sentMessages = [];
+  const misses = [];
+  const recorded = [];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://stub");
+    const text = await readBody(req);
+
+    if (req.method === "GET" && pathname === "/phishing-feed") {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      return res.end("");
+    }
+
+    if (req.method === "GET" && pathname.startsWith("/media/")) {
+      const file = media[decodeURIComponent(pathname.slice("/media/".length))];
+      if (!file) return sendJSON(res, 404, { message: "No such media in this fixture" });
+      res.writeHead(200, { "Content-Type": file.contentType });
+      return res.end(Buffer.from(file.base64, "base64"));
+    }
+
+    // Twilio's Messages resource: keep what the bot sent and answer like Twilio does
+    if (req.method === "POST" && /^\/twilio\/2010-04-01\/Accounts\/[^/]+\/Messages\.json$/.test(pathname)) {
+      const params = new URLSearchParams(text);
+      const message = { to: params.get("To"), from: params.get("From"), body: params.get("Body") || "", mediaUrl: params.getAll("MediaUrl") };
+      sentMessages.push(message);
+      return sendJSON(res, 201, { sid: `SM${String(sentMessages.length).padStart(32, "0")}`, status: "queued", ...message });
+    }
+
+    const described = describeRequest(req.method, pathname, parseJSON(text));
+    if (!described) {
+      return sendJSON(res, 404, { message: `The stub server doesn't handle ${req.method} ${pathname}` });
+    }
+
+    if (upstream) {
+      try {
+        const response = await forward(upstream, described.service, req, text);
+        recorded.push({ ...described, response });
+        return sendJSON(res, response.status, response.body);
+      } catch (error) {
+        misses.push({ ...described, error: error.message });
+        return sendJSON(res, 502, { message: `Forwarding to the real ${described.service} failed: ${error.message}` });
+      }
+    }
+
+    const index = exchanges.findIndex((exchange, i) =>
+      !used.has(i) && exchange.service === described.service && isDeepStrictEqual(exchange.match, described.match));
+    if (index === -1) {
+      misses.push(described);
+      return sendJSON(res, 500, { message: `No recorded ${described.service} response for ${JSON.stringify(described.match)}` });
+    }
+    used.add(index);
+    sendJSON(res, exchanges[index].response.status, exchanges[index].response.body);
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    sentMessages,
+    misses,
+    recorded,
+    // Answer from this fixture's recordings from now on
+    load(fixture) {
+      exchanges = fixture.upstream || [];
+      used = new Set();
+      media = fixture.media || {};
+      misses.length = 0;
+      recorded.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue } from "../jobQueue.js";
+
+test("a retried job carries on from its saved progress", async t => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const sent = [];
+  let failOnce = true;
+  let finished;
+  const done = new Promise(resolve => {
+    finished = resolve;
+  });
+  const queue = createJobQueue({
+    name: "test",
+    retryDelayMs: 1,
+    async handler(parts, job, saveProgress) {
+      let progress = job.progress || { sent: 0 };
+      for (const part of parts.slice(progress.sent)) {
+        if (part === "b" && failOnce) {
+          failOnce = false;
+          throw new Error("send failed");
+        }
+        sent.push(part);
+        progress = { sent: progress.sent + 1 };
+        saveProgress(progress);
+      }
+      finished();
+    }
+  });
+
+  queue.enqueue(null, ["a", "b", "c"]);
+  await done;
+  assert.deepEqual(sent, ["a", "b", "c"]);
+});
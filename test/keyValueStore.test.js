@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMemoryStore, createFileStore } from "../keyValueStore.js";
+
+test("expired entries are gone", async () => {
+  const store = createMemoryStore();
+  store.set("short", 1, 10);
+  store.set("long", 2, 60000);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(store.get("short"), null);
+  assert.deepEqual(store.entries(), [["long", 2]]);
+});
+
+test("maxEntries drops the least recently used entry", () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  store.set("a", 1);
+  store.set("b", 2);
+  store.get("a");
+  store.set("c", 3);
+  assert.deepEqual(store.entries(), [["a", 1], ["c", 3]]);
+});
+
+test("without maxEntries nothing is dropped", () => {
+  const store = createMemoryStore();
+  for (let i = 0; i < 1000; i++) store.set(`key${i}`, i);
+  assert.equal(store.entries().length, 1000);
+});
+
+test("a file store is capped and batches its writes", async t => {
+  t.mock.method(console, "log", () => {});
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+  const filePath = path.join(dir, "store.json");
+  try {
+    const store = createFileStore(filePath, { maxEntries: 2 });
+    store.set("a", 1);
+    store.set("b", 2);
+    store.set("c", 3);
+    assert.equal(fs.existsSync(filePath), false, "nothing is written on each change");
+
+    store.flush();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, "utf8"))), ["b", "c"]);
+    assert.deepEqual(createFileStore(filePath, { maxEntries: 1 }).entries(), [["c", 3]]);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The known claims database opens on import; keep this test's copy in memory
+process.env.KNOWN_CLAIMS_DB_FILE = ":memory:";
+const { claimsFromClaimReview, claimsFromCsv } = await import("../knownClaims.js");
+
+function verdictForRating(rating) {
+  const [claim] = claimsFromClaimReview({ "@type": "ClaimReview", claimReviewed: "Some claim", reviewRating: { alternateName: rating } });
+  return claim.verdict;
+}
+
+test("negated ratings are false, not true", () => {
+  for (const rating of ["Not true", "Not accurate", "Not correct", "Inaccurate", "Untrue", "Incorrect", "Not at all true", "NOT TRUE"]) {
+    assert.equal(verdictForRating(rating), "false", rating);
+  }
+});
+
+test("partly negated ratings are partially true", () => {
+  for (const rating of ["Not entirely true", "Not quite accurate", "Mostly true", "Missing context", "Half true"]) {
+    assert.equal(verdictForRating(rating), "partially_true", rating);
+  }
+});
+
+test("common ratings map to our verdicts", () => {
+  assert.equal(verdictForRating("True"), "true");
+  assert.equal(verdictForRating("Correct"), "true");
+  assert.equal(verdictForRating("Accurate"), "true");
+  assert.equal(verdictForRating("False"), "false");
+  assert.equal(verdictForRating("Pants on Fire"), "false");
+  assert.equal(verdictForRating("Unproven"), "unclear");
+});
+
+test("CSV ratings are mapped the same way", () => {
+  const [claim] = claimsFromCsv("claim,rating\nThe moon is made of cheese,Not true\n");
+  assert.equal(claim.verdict, "false");
+});
@@ -0,0 +1,107 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import vision from "@google-cloud/vision";
+import { startHarness, detectVerdicts } from "./harness/harness.js";
+
+// Record a new regression fixture: sends a WhatsApp message through the bot while the stub server forwards
+// Perplexity, Google and transcript-service requests to the real services, then saves every exchange and reply.
+//
+//   npm run test:record -- --name vaccine-microchip --text "Vaccines contain microchips"
+//   npm run test:record -- --name payslip-photo --media ./payslip.jpg --then "why?"
+//
+// Needs PERPLEXITY_API_KEY, Google credentials and CUSTOM_FACT_CHECK_API in .env, as the bot itself does.
+// Other sites (link checks, page fetches) stay blocked, exactly as when the fixture is replayed.
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const MEDIA_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".mp4": "video/mp4",
+  ".pdf": "application/pdf"
+};
+
+const { values: options } = parseArgs({
+  options: {
+    name: { type: "string" },
+    description: { type: "string" },
+    text: { type: "string", default: "" },
+    media: { type: "string", multiple: true, default: [] },
+    then: { type: "string", multiple: true, default: [] },
+    from: { type: "string", default: "whatsapp:+15550009999" }
+  }
+});
+
+if (!options.name || (!options.text && options.media.length === 0)) {
+  console.error("Usage: npm run test:record -- --name <fixture-name> [--text <message>] [--media <file>]... [--then <reply>]... [--from whatsapp:+1555...]");
+  process.exit(1);
+}
+if (!process.env.PERPLEXITY_API_KEY) {
+  console.error("❌ PERPLEXITY_API_KEY is not set; recording needs the real services");
+  process.exit(1);
+}
+
+// Read before the harness points the bot at the stub server
+const googleAuth = new vision.ImageAnnotatorClient().auth;
+const upstream = {
+  perplexityApiKey: process.env.PERPLEXITY_API_KEY,
+  transcriptUrl: process.env.CUSTOM_FACT_CHECK_API || null,
+  googleAccessToken: () => googleAuth.getAccessToken()
+};
+
+const media = {};
+const firstWebhook = { From: options.from, Body: options.text, NumMedia: String(options.media.length) };
+options.media.forEach((file, index) => {
+  const id = path.basename(file);
+  const contentType = MEDIA_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+  media[id] = { contentType, base64: fs.readFileSync(file).toString("base64") };
+  firstWebhook[`MediaUrl${index}`] = `media:${id}`;
+  firstWebhook[`MediaContentType${index}`] = contentType;
+});
+
+const fixture = {
+  name: options.name,
+  description: options.description || `recorded: ${options.text || options.media.join(", ")}`.slice(0, 120),
+  source: "recorded",
+  recordedAt: new Date().toISOString(),
+  media,
+  upstream: [],
+  steps: [
+    { webhook: firstWebhook },
+    ...options.then.map(text => ({ webhook: { From: options.from, Body: text } }))
+  ]
+};
+
+const harness = await startHarness({ upstream });
+try {
+  const result = await harness.runFixture(fixture);
+  if (result.misses.length > 0) {
+    console.error("❌ Some requests couldn't be forwarded, nothing was saved:", result.misses);
+    process.exitCode = 1;
+  } else {
+    saveFixture(result);
+  }
+} finally {
+  await harness.close();
+}
+process.exit();
+
+function saveFixture(result) {
+  fixture.upstream = [...harness.stub.recorded];
+  fixture.steps = fixture.steps.map((step, index) => {
+    const { twiml, messages } = result.steps[index];
+    return { ...step, expect: { verdicts: detectVerdicts([...twiml, ...messages]), twiml, messages } };
+  });
+
+  const fixturePath = path.join(FIXTURES_DIR, `${fixture.name}.json`);
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + "\n");
+  console.log(`📼 Recorded ${fixture.upstream.length} exchange(s) to ${path.relative(process.cwd(), fixturePath)}`);
+  console.log("Check the replies and expected verdicts in it before committing.");
+}
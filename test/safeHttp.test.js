@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import dns from "dns";
+import { isPrivateAddress, safeGet, followRedirects } from "../safeHttp.js";
+
+test("private, loopback, link-local and reserved addresses are private", () => {
+  const addresses = [
+    "127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254", "169.254.0.1",
+    "0.0.0.0", "100.64.0.1", "224.0.0.1", "::1", "::", "fe80::1", "fd00::1",
+    "::ffff:127.0.0.1", "::FFFF:10.0.0.1", "::ffff:169.254.169.254", "64:ff9b::192.168.0.1",
+    "not-an-address"
+  ];
+  for (const address of addresses) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("public addresses are not private", () => {
+  for (const address of ["8.8.8.8", "1.1.1.1", "172.32.0.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("URLs to private addresses, other schemes or other ports are refused before any request", async t => {
+  const get = t.mock.method(axios, "get", async () => {
+    throw new Error("no request should be made");
+  });
+  const urls = [
+    ["http://127.0.0.1/", /private address/],
+    ["http://0.0.0.0/", /private address/],
+    ["http://169.254.169.254/latest/meta-data/", /private address/],
+    ["http://[::ffff:127.0.0.1]/", /private address/],
+    ["http://[::1]/", /private address/],
+    ["http://example.com:8080/", /port 8080/],
+    ["https://example.com:22/", /port 22/],
+    ["file:///etc/passwd", /Blocked file: URL/],
+    ["ftp://example.com/", /Blocked ftp: URL/]
+  ];
+  for (const [url, error] of urls) {
+    await assert.rejects(safeGet(url), error, url);
+  }
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test("a host name that resolves to a private address is refused", async t => {
+  t.mock.method(dns, "lookup", (hostname, options, callback) => {
+    process.nextTick(callback, null, [{ address: "10.0.0.5", family: 4 }]);
+  });
+  await assert.rejects(safeGet("http://intranet.example/"), /private address 10\.0\.0\.5/);
+});
+
+test("a redirect to a private address is refused", async t => {
+  t.mock.method(axios, "get", async (url, options) => {
+    options.beforeRedirect({ href: "http://169.254.169.254/latest/meta-data/" });
+  });
+  await assert.rejects(safeGet("https://example.com/"), /private address 169\.254\.169\.254/);
+});
+
+test("following a link's redirects stops at a private address", async t => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(axios, "get", async () => ({ status: 302, headers: { location: "http://10.0.0.1/admin" }, data: { destroy() {} } }));
+  const result = await followRedirects("https://short.example/abc");
+  assert.deepEqual(result.redirects, ["http://10.0.0.1/admin"]);
+  assert.match(result.error, /private address 10\.0\.0\.1/);
+});
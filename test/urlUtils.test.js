@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalizeUrl, unwrapRedirectUrl, cleanUrl, extractUrls, stripUrls } from "../urlUtils.js";
+
+test("canonicalizeUrl maps the same page shared in different ways to one string", () => {
+  const cases = [
+    ["https://www.example.com/news/story/?utm_source=whatsapp&utm_medium=share", "https://example.com/news/story"],
+    ["https://m.example.com/story?fbclid=abc#comments", "https://example.com/story"],
+    ["https://EXAMPLE.com:443/story?b=2&a=1&gclid=x", "https://example.com/story?a=1&b=2"],
+    ["http://example.com:80/", "https://example.com"],
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ&si=share123", "https://youtube.com/watch?v=dQw4w9WgXcQ"],
+    ["https://www.instagram.com/reel/C1abc/?igsh=xyz", "https://instagram.com/reel/C1abc"],
+    ["not a url", "not a url"]
+  ];
+  for (const [url, expected] of cases) {
+    assert.equal(canonicalizeUrl(url), expected, url);
+  }
+});
+
+test("unwrapRedirectUrl finds the destination inside redirect wrappers", () => {
+  const cases = [
+    ["https://www.google.com/url?q=https://example.com/a&sa=D", "https://example.com/a"],
+    ["https://www.google.co.in/url?url=https%3A%2F%2Fexample.com%2Fb", "https://example.com/b"],
+    ["https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fc&h=AT0", "https://example.com/c"],
+    ["https://lm.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fd", "https://example.com/d"],
+    ["https://l.instagram.com/?u=https%3A%2F%2Fexample.com%2Fe", "https://example.com/e"],
+    ["https://www.youtube.com/redirect?q=https%3A%2F%2Fexample.com%2Ff&event=video_description", "https://example.com/f"],
+    ["https://www.linkedin.com/redir/redirect?url=https%3A%2F%2Fexample.com%2Fg", "https://example.com/g"],
+    // Wrapped twice
+    ["https://www.google.com/url?q=https%3A%2F%2Fl.facebook.com%2Fl.php%3Fu%3Dhttps%253A%252F%252Fexample.com%252Fh", "https://example.com/h"],
+    // Not wrappers, or no usable destination
+    ["https://www.google.com/search?q=https://example.com", "https://www.google.com/search?q=https://example.com"],
+    ["https://www.google.com/url?q=javascript:alert(1)", "https://www.google.com/url?q=javascript:alert(1)"],
+    ["https://example.com/url?q=https://other.example", "https://example.com/url?q=https://other.example"]
+  ];
+  for (const [url, expected] of cases) {
+    assert.equal(unwrapRedirectUrl(url), expected, url);
+  }
+});
+
+test("cleanUrl drops tracking parameters and the fragment but keeps the link fetchable", () => {
+  const cases = [
+    ["https://Example.com/Story?utm_campaign=x&id=7#top", "https://example.com/Story?id=7"],
+    ["https://www.example.com/a?ref=share&fbclid=1&msclkid=2&mc_cid=3&_ga=4", "https://www.example.com/a"],
+    ["https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fx%3Futm_source%3Dfb", "https://example.com/x"]
+  ];
+  for (const [url, expected] of cases) {
+    assert.equal(cleanUrl(url), expected, url);
+  }
+});
+
+test("extractUrls finds every link once, without the punctuation around it", () => {
+  const cases = [
+    ["Read this: https://example.com/story.", ["https://example.com/story"]],
+    ["Is it true (https://example.com/a)?", ["https://example.com/a"]],
+    ["See https://en.wikipedia.org/wiki/Mercury_(planet) now", ["https://en.wikipedia.org/wiki/Mercury_(planet)"]],
+    ["\"https://example.com/q?id=5\", he said!!", ["https://example.com/q?id=5"]],
+    ["Go to www.example.com/offer, hurry", ["https://www.example.com/offer"]],
+    ["Claim yours at bit.ly/free-laptop now", ["https://bit.ly/free-laptop"]],
+    ["wa.me/919999999999 and t.co/abc", ["https://wa.me/919999999999", "https://t.co/abc"]],
+    ["https://example.com/a?utm_source=wa and https://www.example.com/a/", ["https://example.com/a"]],
+    ["https://www.google.com/url?q=https://example.com/b", ["https://example.com/b"]],
+    ["No links here, just example dot com", []],
+    ["", []]
+  ];
+  for (const [text, expected] of cases) {
+    assert.deepEqual(extractUrls(text), expected, text);
+  }
+});
+
+test("stripUrls leaves only what the sender wrote", () => {
+  assert.equal(stripUrls("Is this real? https://example.com/a  bit.ly/xyz"), "Is this real?");
+});
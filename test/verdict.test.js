@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { overallVerdict } from "../verdict.js";
+
+const claims = (...verdicts) => verdicts.map(verdict => ({ verdict }));
+
+test("claims that agree give their verdict", () => {
+  assert.equal(overallVerdict(claims("false")), "false");
+  assert.equal(overallVerdict(claims("true", "true")), "true");
+  assert.equal(overallVerdict(claims("unclear", "unclear")), "unclear");
+});
+
+test("true and false claims together are partially true", () => {
+  assert.equal(overallVerdict(claims("true", "false")), "partially_true");
+  assert.equal(overallVerdict(claims("false", "partially_true", "false")), "partially_true");
+});
+
+test("any unclear claim makes the message unclear", () => {
+  assert.equal(overallVerdict(claims("true", "unclear")), "unclear");
+  assert.equal(overallVerdict(claims("false", "unclear")), "unclear");
+  assert.equal(overallVerdict(claims("true", "false", "unclear")), "unclear");
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startHarness, detectVerdicts } from "./harness/harness.js";
+
+// Replays every fixture in test/fixtures through /whatsapp, with all outside services stubbed.
+// UPDATE_FIXTURES=1 npm test rewrites the expected replies from what the bot answers now; review the diff before committing.
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const UPDATE_FIXTURES = process.env.UPDATE_FIXTURES === "1";
+const WHATSAPP_MAX_LENGTH = 1600;
+
+const fixtureFiles = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith(".json")).sort();
+
+let harness;
+before(async () => {
+  harness = await startHarness();
+});
+after(async () => {
+  await harness?.close();
+});
+
+for (const file of fixtureFiles) {
+  const fixturePath = path.join(FIXTURES_DIR, file);
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+  test(`${fixture.name}: ${fixture.description}`, async () => {
+    const result = await harness.runFixture(fixture);
+
+    assert.deepEqual(result.misses, [], "every outside request should have a recorded response");
+
+    for (const [index, step] of fixture.steps.entries()) {
+      const { twiml, messages } = result.steps[index];
+      const bodies = [...twiml, ...messages];
+      for (const body of bodies) {
+        assert.ok(body.length <= WHATSAPP_MAX_LENGTH, `step ${index}: a ${body.length}-character message is over WhatsApp's limit`);
+        assert.doesNotMatch(body, /\*\*|\[\d+\]|&amp;/, `step ${index}: markdown, citation markers or escaped XML leaked into a reply`);
+      }
+      if (step.expect.verdicts) {
+        assert.deepEqual(detectVerdicts(bodies), step.expect.verdicts, `step ${index}: verdicts`);
+      }
+
+      if (UPDATE_FIXTURES) {
+        step.expect = { ...step.expect, twiml, messages };
+      } else {
+        assert.deepEqual(twiml, step.expect.twiml, `step ${index}: TwiML reply`);
+        assert.deepEqual(messages, step.expect.messages, `step ${index}: messages sent through the REST API`);
+      }
+    }
+
+    if (UPDATE_FIXTURES) {
+      fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + "\n");
+    }
+  });
+}
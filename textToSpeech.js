@@ -0,0 +1,96 @@
+import { spawn } from "child_process";
+import path from "path";
+import { runFfmpeg, withTempFile, isFfmpegMissing } from "./ffmpeg.js";
+
+// Spoken verdicts for people who sent a voice note. A backend turns text into a WAV file and ffmpeg
+// encodes it as OGG/Opus, the format WhatsApp and Telegram play as a voice note.
+// TTS_BACKEND picks the engine: "espeak" (espeak-ng, default), "piper" or "none". Both engines run offline.
+const TTS_BACKEND = process.env.TTS_BACKEND || "espeak";
+const TTS_TIMEOUT_MS = Number(process.env.TTS_TIMEOUT_MS || 30000);
+
+// Run a command with `input` on stdin, failing on a non-zero exit or after TTS_TIMEOUT_MS
+function runWithInput(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), TTS_TIMEOUT_MS);
+    child.stderr.on("data", chunk => { stderr += chunk; });
+    child.on("error", error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const error = new Error(`${path.basename(command)} ${signal ? `was stopped (${signal})` : `exited with ${code}`}: ${stderr.trim().slice(0, 200)}`);
+      reject(error);
+    });
+    child.stdin.on("error", () => {}); // reported through "close" instead
+    child.stdin.end(input);
+  });
+}
+
+// espeak-ng has voices for every language we reply in, named by language code
+function createEspeakBackend() {
+  const command = process.env.ESPEAK_PATH || "espeak-ng";
+  return {
+    name: "espeak",
+    supports: () => true,
+    synthesize: (text, language, wavPath) => runWithInput(command, ["-v", language, "-s", "150", "--stdin", "-w", wavPath], text)
+  };
+}
+
+// Piper needs a voice model per language: PIPER_MODELS=en:/voices/en_US-lessac-medium.onnx,hi:/voices/hi_IN-pratham-medium.onnx
+function createPiperBackend() {
+  const command = process.env.PIPER_PATH || "piper";
+  const models = Object.fromEntries((process.env.PIPER_MODELS || "")
+    .split(",")
+    .map(entry => entry.trim().split(/:(.+)/))
+    .filter(([language, model]) => language && model));
+  return {
+    name: "piper",
+    supports: language => Boolean(models[language]),
+    synthesize: (text, language, wavPath) => runWithInput(command, ["--model", models[language], "--output_file", wavPath], text)
+  };
+}
+
+const BACKEND_FACTORIES = {
+  espeak: createEspeakBackend,
+  piper: createPiperBackend
+};
+
+const backend = BACKEND_FACTORIES[TTS_BACKEND]?.() || null;
+if (!backend && TTS_BACKEND !== "none") {
+  console.error(`❌ Unknown TTS_BACKEND "${TTS_BACKEND}", voice replies are off`);
+}
+
+export function isTextToSpeechEnabled() {
+  return backend !== null;
+}
+
+// Speak `text` in `language`. Returns an OGG/Opus buffer, or null when it can't be done (no voice for
+// the language, engine or ffmpeg missing, engine failed); the text reply goes out either way.
+export async function synthesizeSpeech(text, language) {
+  if (!backend || !text) return null;
+  if (!backend.supports(language)) {
+    console.log(`🔇 No ${backend.name} voice for ${language}, skipping the voice reply`);
+    return null;
+  }
+
+  try {
+    return await withTempFile(Buffer.from(text), async (_, directory) => {
+      const wavPath = path.join(directory, "speech.wav");
+      await backend.synthesize(text, language, wavPath);
+      const audio = await runFfmpeg(["-i", wavPath, "-ac", "1", "-ar", "48000", "-c:a", "libopus", "-b:a", "32k", "-f", "ogg", "-"]);
+      console.log(`🔊 Synthesized a ${audio.length}-byte voice reply with ${backend.name}`);
+      return audio;
+    });
+  } catch (error) {
+    if (isFfmpegMissing(error)) {
+      console.error(`❌ Voice reply failed: ${error.path || "ffmpeg"} is not installed`);
+    } else {
+      console.error("❌ Voice reply failed:", error.message);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,199 @@
+import axios from "axios";
+import { JSDOM, VirtualConsole } from "jsdom";
+import { Readability } from "@mozilla/readability";
+import { safeGet } from "./safeHttp.js";
+
+const URL_CONTENT_MAX_CHARS = Number(process.env.URL_CONTENT_MAX_CHARS || 6000);
+// Instagram only serves captions in its meta tags to link-preview crawlers
+const PREVIEW_CRAWLER_AGENT = "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)";
+
+function detectPlatform(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^(www|m|mobile)\./, "");
+  } catch {
+    return null;
+  }
+  if (hostname === "youtube.com" || hostname === "youtu.be" || hostname === "music.youtube.com") return "youtube";
+  if (hostname === "instagram.com") return "instagram";
+  if (hostname === "twitter.com" || hostname === "x.com") return "x";
+  return null;
+}
+
+function readMetaTags(document) {
+  const meta = name => document
+    .querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`)
+    ?.getAttribute("content")?.trim() || null;
+
+  return {
+    title: meta("og:title") || meta("twitter:title") || document.title?.trim() || null,
+    description: meta("og:description") || meta("twitter:description") || meta("description"),
+    siteName: meta("og:site_name"),
+    author: meta("author") || meta("article:author"),
+    publishedAt: meta("article:published_time") || meta("datePublished") || meta("uploadDate")
+  };
+}
+
+// Fetch a page and pull out its meta tags and main article text (Mozilla Readability, as in Firefox Reader View)
+async function extractPage(url, { userAgent, maxBytes } = {}) {
+  const response = await safeGet(url, {
+    maxBytes,
+    headers: { Accept: "text/html,application/xhtml+xml,text/plain;q=0.9", ...(userAgent ? { "User-Agent": userAgent } : {}) }
+  });
+  const contentType = String(response.headers["content-type"] || "");
+
+  if (contentType.startsWith("text/plain")) {
+    return { finalUrl: response.finalUrl, text: String(response.data).trim() };
+  }
+  if (!contentType.includes("html")) {
+    console.log("⚠️ Unsupported content type for URL extraction:", contentType);
+    return null;
+  }
+
+  // Scripts never run and external resources are never loaded (jsdom defaults)
+  const dom = new JSDOM(String(response.data), { url: response.finalUrl, virtualConsole: new VirtualConsole() });
+  try {
+    const document = dom.window.document;
+    const meta = readMetaTags(document); // before Readability, which rewrites the document
+    const article = new Readability(document).parse();
+    return {
+      finalUrl: response.finalUrl,
+      ...meta,
+      title: meta.title || article?.title || null,
+      author: meta.author || article?.byline || null,
+      text: article?.content ? htmlToText(article.content) : ""
+    };
+  } finally {
+    dom.window.close();
+  }
+}
+
+async function fetchOEmbed(endpoint, url) {
+  try {
+    const response = await safeGet(`${endpoint}?url=${encodeURIComponent(url)}&format=json`, { responseType: "json" });
+    return response.data;
+  } catch (error) {
+    console.error("❌ oEmbed lookup failed:", endpoint, error.message);
+    return null;
+  }
+}
+
+// Text of an HTML fragment, with a blank line after each paragraph, heading and list item
+function htmlToText(html) {
+  const dom = new JSDOM(html);
+  const document = dom.window.document;
+  for (const block of document.querySelectorAll("p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, br, tr")) {
+    block.after(document.createTextNode("\n\n"));
+  }
+  const text = document.body.textContent
+    .replace(/[ \t\r]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  dom.window.close();
+  return text;
+}
+
+// Platform specifics: video title and uploader for YouTube, the post text for X, the caption for Instagram
+async function extractPlatformContent(platform, url) {
+  if (platform === "youtube") {
+    const [oembed, page] = await Promise.all([
+      fetchOEmbed("https://www.youtube.com/oembed", url),
+      extractPage(url, { maxBytes: 5 * 1024 * 1024 }).catch(() => null) // YouTube pages are large
+    ]);
+    if (!oembed && !page) return null;
+    // Readability picks up page chrome on YouTube; the description meta tag is the useful part
+    return { ...page, title: oembed?.title || page?.title, author: oembed?.author_name || page?.author, siteName: "YouTube", text: "" };
+  }
+
+  if (platform === "x") {
+    const oembed = await fetchOEmbed("https://publish.twitter.com/oembed", url);
+    if (!oembed?.html) return null;
+    return { finalUrl: url, author: oembed.author_name, siteName: "X (Twitter)", text: htmlToText(oembed.html) };
+  }
+
+  if (platform === "instagram") {
+    const page = await extractPage(url, { userAgent: PREVIEW_CRAWLER_AGENT });
+    // The description reads: 123 likes, 4 comments - user on March 1, 2024: "caption"
+    return page && { ...page, siteName: "Instagram", text: "" };
+  }
+  return null;
+}
+
+// Everything we can learn about a URL locally: { url, finalUrl, platform, title, description, siteName,
+// author, publishedAt, text }, or null when the page couldn't be fetched or had nothing readable
+export async function extractUrlContent(url) {
+  const platform = detectPlatform(url);
+  console.log("🌐 Extracting content from", url, platform ? `(${platform})` : "");
+
+  try {
+    const content = platform ? await extractPlatformContent(platform, url) : await extractPage(url);
+    // A video or post title alone is still worth checking; an article needs some text
+    if (!content || (!content.text && !content.description && !(platform && content.title))) {
+      console.log("❌ No readable content found at", url);
+      return null;
+    }
+    console.log(`✅ Extracted ${content.text.length} characters of text from`, content.finalUrl);
+    return { url, platform, ...content };
+  } catch (error) {
+    console.error("❌ URL extraction failed:", url, error.message);
+    return null;
+  }
+}
+
+// Plain-text version of the extracted content, used as the message to fact-check
+export function formatUrlContent(content) {
+  const lines = [
+    content.title && `Title: ${content.title}`,
+    content.siteName && `Site: ${content.siteName}`,
+    content.author && `Author: ${content.author}`,
+    content.publishedAt && `Published: ${content.publishedAt}`,
+    `URL: ${content.finalUrl || content.url}`,
+    content.description && `Description: ${content.description}`
+  ].filter(Boolean);
+
+  let text = lines.join("\n");
+  if (content.text) {
+    text += `\n\n${content.text}`;
+  }
+  return text.length > URL_CONTENT_MAX_CHARS ? `${text.slice(0, URL_CONTENT_MAX_CHARS)}…` : text;
+}
+
+// Optional remote extraction service (CUSTOM_FACT_CHECK_API), used only when local extraction fails.
+// It receives { url } and answers { success, data: { transcript } }.
+async function getTranscriptFromRemoteService(url) {
+  const endpoint = process.env.CUSTOM_FACT_CHECK_API;
+  if (!endpoint) return null;
+
+  try {
+    console.log("🔄 Calling remote extraction service for URL:", url);
+    const response = await axios.post(endpoint, { url }, {
+      headers: { "Content-Type": "application/json" },
+      timeout: Number(process.env.CUSTOM_FACT_CHECK_API_TIMEOUT_MS || 30000)
+    });
+
+    const transcript = response.data?.success ? response.data.data?.transcript : null;
+    if (!transcript) {
+      console.log("❌ Remote service returned no transcript:", response.data);
+      return null;
+    }
+    console.log("✅ Remote service transcript:", transcript.substring(0, 200));
+    return transcript;
+  } catch (error) {
+    if (error.code === "ECONNABORTED") {
+      console.error("⏰ Remote extraction service timeout");
+    } else {
+      console.error("❌ Error calling remote extraction service:", error.response?.status, error.response?.data || error.message);
+    }
+    return null;
+  }
+}
+
+// Text to fact-check for a URL: local extraction first, then the remote service if configured
+export async function getUrlContent(url) {
+  const content = await extractUrlContent(url);
+  if (content) {
+    return formatUrlContent(content);
+  }
+  return getTranscriptFromRemoteService(url);
+}
@@ -0,0 +1,116 @@
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i, /^igshid$/i, /^igsh$/i,
+  /^si$/i, /^mc_cid$/i, /^mc_eid$/i, /^ref_src$/i, /^ref$/i, /^_ga$/i, /^yclid$/i
+];
+
+// Normalize a URL so the same page shared in different ways maps to one string
+export function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, "");
+  if ((parsed.protocol === "https:" && parsed.port === "443") || (parsed.protocol === "http:" && parsed.port === "80")) {
+    parsed.port = "";
+  }
+  parsed.protocol = "https:";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+  return parsed.toString().replace(/\/$/, "");
+}
+
+// Link shorteners, matched even without http:// since people often paste them bare ("bit.ly/abc")
+const SHORTENER_HOSTS = [
+  "bit.ly", "tinyurl.com", "t.co", "wa.me", "goo.gl", "ow.ly", "is.gd", "cutt.ly", "rb.gy", "shorturl.at",
+  "t.ly", "tiny.cc", "buff.ly", "lnkd.in", "s.id", "rebrand.ly", "bitly.com", "v.gd", "shorte.st", "surl.li"
+];
+
+const URL_PATTERN = new RegExp(
+  `(?:https?://|\\bwww\\.|\\b(?:${SHORTENER_HOSTS.map(host => host.replace(/\./g, "\\.")).join("|")})/)[^\\s<>"'\`]+`,
+  "gi"
+);
+
+// Redirect wrappers that carry the real destination in a query parameter, so they can be unwrapped without a request
+const REDIRECT_WRAPPERS = [
+  { host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ["q", "url"] },
+  { host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ["u"] },
+  { host: /^l\.messenger\.com$/, path: /^\/l\.php$/, params: ["u"] },
+  { host: /^l\.instagram\.com$/, path: /^\/$/, params: ["u"] },
+  { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ["q"] },
+  { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect$/, params: ["url"] }
+];
+
+// The destination of a known redirect wrapper (google.com/url?q=..., l.facebook.com/l.php?u=...), or the URL itself
+export function unwrapRedirectUrl(url) {
+  for (let depth = 0; depth < 3; depth++) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+    const wrapper = REDIRECT_WRAPPERS.find(({ host, path }) => host.test(parsed.hostname.toLowerCase()) && path.test(parsed.pathname));
+    const target = wrapper?.params.map(name => parsed.searchParams.get(name)).find(value => /^https?:\/\//i.test(value || ""));
+    if (!target) return url;
+    url = target;
+  }
+  return url;
+}
+
+// Tidy a shared link without changing where it points: unwrap redirect wrappers, lowercase the host,
+// drop the fragment and tracking parameters. Unlike canonicalizeUrl, the result is still safe to fetch.
+export function cleanUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(unwrapRedirectUrl(url));
+  } catch {
+    return url;
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase();
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(pattern => pattern.test(name))) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  return parsed.toString();
+}
+
+// Every link in a message, cleaned and without duplicates, in the order they appear
+export function extractUrls(text) {
+  const urls = new Map();
+  for (let [match] of String(text || "").matchAll(URL_PATTERN)) {
+    // Punctuation at the end belongs to the sentence, not the link; so does a ")" with no "(" before it
+    match = match.replace(/[.,;:!?*_~'"”’\]}>]+$/, "");
+    if (match.endsWith(")") && !match.includes("(")) {
+      match = match.replace(/\)+$/, "").replace(/[.,;:!?]+$/, "");
+    }
+    const url = cleanUrl(/^https?:\/\//i.test(match) ? match : `https://${match}`);
+    if (!URL.canParse(url)) continue;
+    const key = canonicalizeUrl(url);
+    if (!urls.has(key)) urls.set(key, url);
+  }
+  return [...urls.values()];
+}
+
+// The message with its links taken out, to see what the sender wrote themselves
+export function stripUrls(text) {
+  return String(text || "").replace(URL_PATTERN, " ").replace(/\s+/g, " ").trim();
+}
+
+// How a link is shown in replies: no scheme, shortened if long
+export function displayUrl(url, maxLength = 40) {
+  const text = url.replace(/^https?:\/\//i, "").replace(/\/$/, "");
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,154 @@
+// Structured fact-check result returned by the model, plus validation and rendering
+import { t } from "./i18n.js";
+
+export const VERDICTS = ["true", "false", "partially_true", "unclear"];
+
+// JSON schema sent to Perplexity as the structured output format
+export const VERDICT_SCHEMA = {
+  type: "object",
+  properties: {
+    verdict: { type: "string", enum: VERDICTS },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    claim_summary: { type: "string" },
+    explanation: { type: "string" },
+    evidence: { type: "array", items: { type: "string" } },
+    sources: { type: "array", items: { type: "string" } }
+  },
+  required: ["verdict", "confidence", "claim_summary", "explanation", "evidence", "sources"]
+};
+
+// Pull the JSON object out of a model answer, tolerating ```json fences or stray prose
+export function parseVerdictJSON(text) {
+  if (!text) return null;
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// Check a parsed answer against VERDICT_SCHEMA. Returns the cleaned result or the list of problems.
+export function validateVerdict(data) {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, errors: ["answer is not a JSON object"] };
+  }
+
+  const verdict = typeof data.verdict === "string" ? data.verdict.trim().toLowerCase() : data.verdict;
+  if (!VERDICTS.includes(verdict)) {
+    errors.push(`verdict must be one of ${VERDICTS.join(", ")}`);
+  }
+
+  let confidence = Number(data.confidence);
+  if (confidence > 1 && confidence <= 100) confidence = confidence / 100; // accept percentages
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    errors.push("confidence must be a number between 0 and 1");
+  }
+
+  for (const field of ["claim_summary", "explanation"]) {
+    if (typeof data[field] !== "string" || !data[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  for (const field of ["evidence", "sources"]) {
+    if (!Array.isArray(data[field]) || data[field].some(item => typeof item !== "string")) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    value: {
+      verdict,
+      confidence,
+      claim_summary: data.claim_summary.trim(),
+      explanation: data.explanation.trim(),
+      evidence: data.evidence.map(item => item.trim()).filter(Boolean),
+      sources: data.sources.map(item => item.trim()).filter(item => /^https?:\/\//i.test(item))
+    }
+  };
+}
+
+// Last resort when the model never produced valid JSON: keep its prose but make no claim either way
+export function unclearVerdictFromText(text) {
+  return {
+    verdict: "unclear",
+    confidence: 0,
+    claim_summary: "",
+    explanation: (text || "I couldn't find an answer.").trim(),
+    evidence: [],
+    sources: []
+  };
+}
+
+export function formatVerdictHeader(result, language) {
+  const verdict = VERDICTS.includes(result.verdict) ? result.verdict : "unclear";
+  return t(language, `verdict_${verdict}`);
+}
+
+// Where a claim came from when a message had several parts: { type: "caption" } or { type: "attachment", number, kind }
+export function formatClaimSource(source, language) {
+  if (!source) return "";
+  if (source.type === "caption") return t(language, "from_caption");
+  if (source.type === "link") return t(language, "from_link", { number: source.number, host: source.host });
+  return t(language, "from_attachment", { number: source.number, kind: t(language, `media_${source.kind}`) });
+}
+
+// WhatsApp text for a fact-check result
+export function formatVerdictMessage(result, language) {
+  const confidence = result.confidence > 0
+    ? ` (${t(language, "confidence", { percent: Math.round(result.confidence * 100) })})`
+    : "";
+  const parts = [`${formatVerdictHeader(result, language)}${confidence}`];
+
+  if (result.source) {
+    parts.push(formatClaimSource(result.source, language));
+  }
+  if (result.claim_summary) {
+    parts.push(`${t(language, "claim")}: ${result.claim_summary}`);
+  }
+  parts.push(result.explanation);
+  if (result.evidence.length > 0) {
+    parts.push(result.evidence.map(item => `• ${item}`).join("\n"));
+  }
+  return parts.join("\n\n");
+}
+
+// Combine per-claim verdicts into one overall verdict for the whole message. A message with any
+// unclear claim is unclear as a whole, so the header never claims more than was verified.
+export function overallVerdict(results) {
+  const verdicts = new Set(results.map(result => result.verdict));
+  if (verdicts.size === 1) return results[0].verdict;
+  if (verdicts.has("unclear")) return "unclear";
+  return "partially_true";
+}
+
+// Numbered per-claim list with an overall summary, for messages holding several claims
+export function formatClaimList(results, language) {
+  const counts = {};
+  for (const result of results) {
+    counts[result.verdict] = (counts[result.verdict] || 0) + 1;
+  }
+  const tally = VERDICTS
+    .filter(verdict => counts[verdict])
+    .map(verdict => `${counts[verdict]} ${t(language, `tally_${verdict}`)}`)
+    .join(", ");
+
+  const overall = formatVerdictHeader({ verdict: overallVerdict(results) }, language);
+  const lines = [`${overall} — ${t(language, "claims_checked", { count: results.length })} (${tally})`];
+  results.forEach((result, index) => {
+    const source = result.source ? `\n${formatClaimSource(result.source, language)}` : "";
+    lines.push(`${index + 1}. ${formatVerdictHeader(result, language)}: ${result.claim_summary || t(language, "claim")}${source}\n${result.explanation}`);
+  });
+  return lines.join("\n\n");
+}
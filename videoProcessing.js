@@ -0,0 +1,53 @@
+import path from "path";
+import { runFfmpeg, probeMedia, withTempFile, readOutputFiles, isFfmpegMissing } from "./ffmpeg.js";
+
+export const VIDEO_MAX_MB = Number(process.env.VIDEO_MAX_MB || 16); // WhatsApp's own limit
+export const VIDEO_MAX_SECONDS = Number(process.env.VIDEO_MAX_SECONDS || 180);
+const VIDEO_KEYFRAMES = Number(process.env.VIDEO_KEYFRAMES || 4);
+
+// Audio track as 16 kHz mono Ogg/Opus, which Google Speech accepts directly
+function extractAudioTrack(filePath) {
+  return runFfmpeg(["-i", filePath, "-vn", "-ac", "1", "-ar", "16000", "-c:a", "libopus", "-f", "ogg", "-"]);
+}
+
+// JPEG frames spread evenly over the video, for OCR of on-screen text
+async function extractKeyframes(filePath, durationSeconds, directory) {
+  const count = Math.max(1, VIDEO_KEYFRAMES);
+  const fps = durationSeconds > 0 ? `${count}/${durationSeconds}` : "1";
+  await runFfmpeg(["-i", filePath, "-vf", `fps=${fps}`, "-frames:v", String(count), path.join(directory, "frame-%02d.jpg")]);
+  return readOutputFiles(directory, "frame-");
+}
+
+// Split a video into its audio track and a few keyframes.
+// Returns { audio, frames, durationSeconds }, or { error } with "too_large", "too_long",
+// "not_configured" (no ffmpeg) or "failed".
+export async function extractVideoContent(buffer) {
+  if (buffer.length > VIDEO_MAX_MB * 1024 * 1024) {
+    console.log(`🎬 Video is ${(buffer.length / 1024 / 1024).toFixed(1)} MB, over the ${VIDEO_MAX_MB} MB limit`);
+    return { error: "too_large" };
+  }
+
+  try {
+    return await withTempFile(buffer, async (filePath, directory) => {
+      const { durationSeconds, hasAudio } = await probeMedia(filePath);
+      console.log(`🎬 Video is ${durationSeconds.toFixed(1)}s long, audio track: ${hasAudio}`);
+      if (durationSeconds > VIDEO_MAX_SECONDS) {
+        return { error: "too_long" };
+      }
+
+      const [audio, frames] = await Promise.all([
+        hasAudio ? extractAudioTrack(filePath) : null,
+        extractKeyframes(filePath, durationSeconds, directory)
+      ]);
+      console.log(`🎬 Extracted ${audio ? audio.length : 0} bytes of audio and ${frames.length} keyframes`);
+      return { audio, frames, durationSeconds };
+    });
+  } catch (error) {
+    if (isFfmpegMissing(error)) {
+      console.error("❌ ffmpeg/ffprobe not found. Install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH");
+      return { error: "not_configured" };
+    }
+    console.error("❌ Video processing failed:", error.message);
+    return { error: "failed" };
+  }
+}
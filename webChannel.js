@@ -0,0 +1,80 @@
+import express from "express";
+import { apiKeyCheck, checkRateLimit } from "./webhookSecurity.js";
+import { buildReply } from "./factCheckPipeline.js";
+import { t, DEFAULT_LANGUAGE, normalizeLanguageCode } from "./i18n.js";
+
+// JSON API for the browser extension and the web widget: POST /api/check with { text, language? }.
+// The whole reply comes back in the response, with the verdict of each claim as data.
+const MAX_TEXT_LENGTH = Number(process.env.CHECK_API_MAX_CHARS || 5000);
+export const isWebApiEnabled = Boolean(process.env.CHECK_API_KEY);
+const ALLOWED_ORIGINS = (process.env.CHECK_API_ORIGINS || "*").split(",").map(origin => origin.trim()).filter(Boolean);
+
+// Each request stands alone: no media, no follow-up questions or commands, and nobody to message later
+export const webChannel = {
+  name: "web",
+  maxMessageLength: Infinity,
+  conversational: false,
+  canDownloadMedia: () => false,
+  downloadAttachment: async () => {
+    throw new Error("The web API does not take attachments");
+  },
+  canSend: () => false
+};
+
+// Browsers only let other sites call the API when CORS allows their origin (CHECK_API_ORIGINS, default any)
+function allowCrossOrigin(req, res, next) {
+  const origin = req.get("Origin");
+  if (origin && (ALLOWED_ORIGINS.includes("*") || ALLOWED_ORIGINS.includes(origin))) {
+    res.set({
+      "Access-Control-Allow-Origin": ALLOWED_ORIGINS.includes("*") ? "*" : origin,
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, X-Api-Key",
+      Vary: "Origin"
+    });
+  }
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(204);
+  }
+  next();
+}
+
+// One claim's verdict, without the model's raw answer and other internals
+function publicResult({ verdict, confidence, claim_summary, explanation, evidence, sources, provider }) {
+  return { verdict, confidence, claim: claim_summary, explanation, evidence, sources, provider };
+}
+
+export function createWebRouter() {
+  const router = express.Router();
+  router.use("/api/check", allowCrossOrigin);
+
+  router.post("/api/check", apiKeyCheck, express.json(), async (req, res) => {
+    const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+    const language = normalizeLanguageCode(req.body?.language) || null;
+    if (!text) {
+      return res.status(400).json({ error: "text is required" });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(413).json({ error: `text must be at most ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    // Callers have no account, so their IP address is who they are for rate limits and the audit log.
+    // Behind a proxy or load balancer this is the proxy's address unless TRUST_PROXY is set.
+    const sender = `web:${req.ip}`;
+    const limited = checkRateLimit(sender);
+    if (limited) {
+      console.warn(`🚫 Rejected POST /api/check from ${req.ip}: ${limited === "busy" ? "global" : "sender"} rate limit reached`);
+      return res.status(429).json({ error: t(language || DEFAULT_LANGUAGE, limited) });
+    }
+
+    const message = { channel: "web", id: null, sender, replyTo: null, text, attachments: [], language };
+    try {
+      const { reply, language: replyLanguage, results, verdict } = await buildReply(message);
+      res.json({ reply, language: replyLanguage, verdict, claims: results.map(publicResult) });
+    } catch (error) {
+      console.error("❌ Web check failed:", error.message);
+      res.status(500).json({ error: t(language || DEFAULT_LANGUAGE, "general_error") });
+    }
+  });
+
+  return router;
+}
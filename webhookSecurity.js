@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import twilio from "twilio";
+import { t } from "./i18n.js";
+import { getPreferences } from "./sessions.js";
+
+const { MessagingResponse } = twilio.twiml;
+
+export const isDevelopment = process.env.NODE_ENV === "development";
+
+const SENDER_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_SENDER_PER_MINUTE || 5);
+const SENDER_LIMIT_PER_HOUR = Number(process.env.RATE_LIMIT_SENDER_PER_HOUR || 40);
+const GLOBAL_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_GLOBAL_PER_MINUTE || 120);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// "whatsapp:+91 98765-43210" -> "+919876543210"
+function normalizeSender(sender = "") {
+  return sender.replace(/^whatsapp:/i, "").replace(/[^\d+]/g, "");
+}
+
+function parseSenderList(value) {
+  return new Set((value || "").split(",").map(normalizeSender).filter(Boolean));
+}
+
+const allowedSenders = parseSenderList(process.env.SENDER_ALLOWLIST);
+const deniedSenders = parseSenderList(process.env.SENDER_DENYLIST);
+
+function logRejection(req, reason) {
+  console.warn(`🚫 Rejected ${req.method} ${req.originalUrl} from ${req.body?.From || req.ip}: ${reason}`);
+}
+
+function sendTwiml(res, message) {
+  const twiml = new MessagingResponse();
+  if (message) twiml.message(message);
+  res.writeHead(200, { "Content-Type": "text/xml; charset=utf-8" });
+  res.end(twiml.toString());
+}
+
+// Only accept webhooks signed by Twilio with our auth token (X-Twilio-Signature).
+// Skipped in development so the bot can be tried with curl.
+export function twilioSignatureCheck(req, res, next) {
+  if (isDevelopment) {
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    logRejection(req, "TWILIO_AUTH_TOKEN is not configured, cannot validate signature");
+    return res.status(403).send("Forbidden");
+  }
+
+  // Twilio signs the public URL it called, which differs from req.url behind ngrok or a proxy
+  const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+  const signature = req.get("X-Twilio-Signature");
+  if (!signature || !twilio.validateRequest(authToken, signature, baseUrl + req.originalUrl, req.body || {})) {
+    logRejection(req, signature ? "invalid X-Twilio-Signature" : "missing X-Twilio-Signature");
+    return res.status(403).send("Forbidden");
+  }
+  next();
+}
+
+// SENDER_DENYLIST always wins; a non-empty SENDER_ALLOWLIST lets only those numbers through.
+// Blocked senders get no reply at all.
+export function senderAccessCheck(req, res, next) {
+  const sender = normalizeSender(req.body?.From);
+  if (deniedSenders.has(sender)) {
+    logRejection(req, "sender is on the deny list");
+    return sendTwiml(res, null);
+  }
+  if (allowedSenders.size > 0 && !allowedSenders.has(sender)) {
+    logRejection(req, "sender is not on the allow list");
+    return sendTwiml(res, null);
+  }
+  next();
+}
+
+// Sliding-window request timestamps, per sender and for the whole bot
+const senderHits = new Map();
+const globalHits = [];
+
+function prune(hits, windowMs, now) {
+  while (hits.length > 0 && hits[0] <= now - windowMs) {
+    hits.shift();
+  }
+}
+
+function countSince(hits, windowMs, now) {
+  return hits.filter(time => time > now - windowMs).length;
+}
+
+// Per-sender and global rate limits, for any channel. Returns null when the sender may go ahead,
+// otherwise the i18n key of the reply: "busy" when the whole bot is over its limit, "slow_down" for the sender.
+export function checkRateLimit(sender) {
+  const now = Date.now();
+
+  prune(globalHits, MINUTE_MS, now);
+  if (globalHits.length >= GLOBAL_LIMIT_PER_MINUTE) {
+    return "busy";
+  }
+
+  const hits = senderHits.get(sender) || [];
+  prune(hits, HOUR_MS, now);
+  if (countSince(hits, MINUTE_MS, now) >= SENDER_LIMIT_PER_MINUTE || hits.length >= SENDER_LIMIT_PER_HOUR) {
+    senderHits.set(sender, hits);
+    return "slow_down";
+  }
+
+  hits.push(now);
+  senderHits.set(sender, hits);
+  globalHits.push(now);
+  return null;
+}
+
+// Rate limits for the WhatsApp webhook. Senders over the limit get a friendly "slow down" reply.
+export function rateLimitCheck(req, res, next) {
+  const from = req.body?.From || req.ip;
+  const limited = checkRateLimit(normalizeSender(from) || from);
+  if (limited) {
+    logRejection(req, limited === "busy" ? `global rate limit of ${GLOBAL_LIMIT_PER_MINUTE}/min reached` : "sender rate limit reached");
+    return sendTwiml(res, t(getPreferences(from).language, limited));
+  }
+  next();
+}
+
+// Drop senders with no recent requests so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [sender, hits] of senderHits) {
+    prune(hits, HOUR_MS, now);
+    if (hits.length === 0) senderHits.delete(sender);
+  }
+}, 10 * MINUTE_MS).unref();
+
+export const protectWebhook = [twilioSignatureCheck, senderAccessCheck, rateLimitCheck];
+
+// Telegram sends the secret_token given to setWebhook in X-Telegram-Bot-Api-Secret-Token.
+// Skipped in development like the Twilio signature check.
+export function telegramSecretCheck(req, res, next) {
+  if (isDevelopment) {
+    return next();
+  }
+
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    logRejection(req, "TELEGRAM_WEBHOOK_SECRET is not configured, cannot verify the update");
+    return res.status(403).send("Forbidden");
+  }
+  const given = req.get("X-Telegram-Bot-Api-Secret-Token");
+  if (!given || !tokensMatch(given, secret)) {
+    logRejection(req, given ? "wrong Telegram secret token" : "missing Telegram secret token");
+    return res.status(403).send("Forbidden");
+  }
+  next();
+}
+
+// POST /api/check needs CHECK_API_KEY in X-Api-Key. Without CHECK_API_KEY it is off.
+export function apiKeyCheck(req, res, next) {
+  const apiKey = process.env.CHECK_API_KEY;
+  if (!apiKey) {
+    logRejection(req, "CHECK_API_KEY is not configured, the check API is disabled");
+    return res.status(404).send("Not Found");
+  }
+
+  const given = req.get("X-Api-Key");
+  if (!given || !tokensMatch(given, apiKey)) {
+    logRejection(req, given ? "wrong API key" : "missing API key");
+    return res.status(401).json({ error: "A valid X-Api-Key header is required" });
+  }
+  next();
+}
+
+function tokensMatch(given, expected) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Admin routes need ADMIN_TOKEN, sent as "Authorization: Bearer <token>" or as the password of
+// HTTP Basic auth (so the dashboard works straight from a browser). Without ADMIN_TOKEN they are off.
+export function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    logRejection(req, "ADMIN_TOKEN is not configured, admin routes are disabled");
+    return res.status(404).send("Not Found");
+  }
+
+  const [scheme = "", credentials = ""] = (req.get("Authorization") || "").split(" ");
+  let token = null;
+  if (scheme.toLowerCase() === "bearer") {
+    token = credentials;
+  } else if (scheme.toLowerCase() === "basic") {
+    const decoded = Buffer.from(credentials, "base64").toString("utf8");
+    token = decoded.slice(decoded.indexOf(":") + 1);
+  }
+
+  if (!token || !tokensMatch(token, adminToken)) {
+    logRejection(req, token ? "wrong admin token" : "missing admin credentials");
+    res.set("WWW-Authenticate", 'Basic realm="Fact-check bot admin", charset="UTF-8"');
+    return res.status(401).send("Unauthorized");
+  }
+  next();
+}
@@ -0,0 +1,193 @@
+import express from "express";
+import axios from "axios";
+import twilio from "twilio";
+import { protectWebhook, isDevelopment } from "./webhookSecurity.js";
+import { publishMedia, isMediaHostingEnabled } from "./signedMedia.js";
+import { handleCommand, buildReply, prepareReplyParts, replyLanguage, checkInBackground } from "./factCheckPipeline.js";
+import { t } from "./i18n.js";
+
+const { MessagingResponse } = twilio.twiml;
+
+// WhatsApp through Twilio: the webhook at /whatsapp, media downloads and REST replies
+const MAX_MESSAGE_LENGTH = 1500; // Twilio rejects WhatsApp bodies over 1600 characters
+// WhatsApp only delivers free-form messages within 24 hours of the person's last message. Alerts after that
+// go out as the approved template WHATSAPP_ALERT_CONTENT_SID (a Twilio Content template whose body is {{1}}).
+const REPLY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const ALERT_CONTENT_SID = process.env.WHATSAPP_ALERT_CONTENT_SID || null;
+const TEMPLATE_VARIABLE_MAX_LENGTH = 1000;
+
+// TWILIO_API_BASE_URL sends Twilio REST calls to another server (the test stubs) instead of api.twilio.com
+class RedirectedRequestClient extends twilio.RequestClient {
+  request(opts) {
+    const baseUrl = process.env.TWILIO_API_BASE_URL.replace(/\/$/, "");
+    return super.request({ ...opts, uri: opts.uri.replace(/^https:\/\/[^/]+/, baseUrl) });
+  }
+}
+
+// Twilio REST client used to deliver verdicts after the webhook has been acknowledged
+const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
+  ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN,
+    process.env.TWILIO_API_BASE_URL ? { httpClient: new RedirectedRequestClient() } : {})
+  : null;
+
+// Every attachment on an incoming message. Twilio sends NumMedia plus MediaUrlN/MediaContentTypeN for each one.
+function getMediaAttachments(body) {
+  const count = Number(body.NumMedia) || (body.MediaUrl0 ? 1 : 0);
+  const attachments = [];
+  for (let i = 0; i < count; i++) {
+    if (body[`MediaUrl${i}`]) {
+      attachments.push({ number: i + 1, url: body[`MediaUrl${i}`], contentType: body[`MediaContentType${i}`] || "" });
+    }
+  }
+  return attachments;
+}
+
+// Twilio's webhook fields as a pipeline message. Replies go from the number the user wrote to.
+function toMessage(body) {
+  return {
+    channel: "whatsapp",
+    id: body.MessageSid || null,
+    sender: body.From,
+    replyTo: { to: body.From, from: body.To },
+    text: body.Body || "",
+    attachments: getMediaAttachments(body)
+  };
+}
+
+// Download media file from Twilio
+async function downloadMedia(mediaUrl) {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+    throw new Error("Twilio credentials not configured. Please add TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN to your .env file");
+  }
+
+  try {
+    const response = await axios.get(mediaUrl, {
+      responseType: "arraybuffer",
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN
+      }
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error("Failed to download media:", error.response?.status, error.response?.statusText);
+    throw new Error("Failed to download media file from Twilio");
+  }
+}
+
+async function sendWhatsAppMessage({ to, from }, body) {
+  let restBody = body;
+  if (restBody.length > MAX_MESSAGE_LENGTH) {
+    console.log("⚠️  REST body too long, truncating...");
+    restBody = restBody.substring(0, 1450) + "...\n\n📋 Message truncated";
+  }
+
+  const sendResult = await twilioClient.messages.create({ from, to, body: restBody });
+  console.log("✅ Sent message via Twilio REST API:", sendResult.sid);
+  return sendResult;
+}
+
+// Twilio fetches media from a URL, so voice notes are served from a signed link under PUBLIC_URL
+async function sendWhatsAppVoiceNote({ to, from }, audio) {
+  const mediaUrl = publishMedia(audio, "audio/ogg");
+  if (!mediaUrl) {
+    throw new Error("The voice note is too large to host");
+  }
+  const sendResult = await twilioClient.messages.create({ from, to, mediaUrl: [mediaUrl] });
+  console.log("✅ Sent voice note via Twilio REST API:", sendResult.sid);
+  return sendResult;
+}
+
+// Template variables can't hold line breaks, so the alert text goes in as one line
+async function sendWhatsAppTemplate({ to, from }, text) {
+  const variable = text.replace(/\s*\n+\s*/g, " ").slice(0, TEMPLATE_VARIABLE_MAX_LENGTH);
+  const sendResult = await twilioClient.messages.create({
+    from,
+    to,
+    contentSid: ALERT_CONTENT_SID,
+    contentVariables: JSON.stringify({ 1: variable })
+  });
+  console.log("✅ Sent alert template via Twilio REST API:", sendResult.sid);
+  return sendResult;
+}
+
+export const whatsappChannel = {
+  name: "whatsapp",
+  maxMessageLength: MAX_MESSAGE_LENGTH,
+  conversational: true,
+  canDownloadMedia: () => Boolean(process.env.TWILIO_AUTH_TOKEN) && process.env.TWILIO_AUTH_TOKEN !== "your_twilio_auth_token_here",
+  downloadAttachment: attachment => downloadMedia(attachment.url),
+  canSend: () => twilioClient !== null,
+  send: sendWhatsAppMessage,
+  replyWindowMs: REPLY_WINDOW_MS,
+  canSendTemplate: () => twilioClient !== null && ALERT_CONTENT_SID !== null,
+  sendTemplate: sendWhatsAppTemplate,
+  canSendVoice: () => twilioClient !== null && isMediaHostingEnabled(),
+  sendVoice: sendWhatsAppVoiceNote
+};
+
+function sendTwiml(res, twiml) {
+  const twimlString = twiml.toString();
+  console.log("📤 Final TwiML response:", twimlString);
+
+  res.writeHead(200, {
+    "Content-Type": "text/xml; charset=utf-8",
+    "Cache-Control": "no-cache"
+  });
+  res.end(twimlString);
+}
+
+export function createWhatsAppRouter() {
+  const router = express.Router();
+
+  // Test routes only exist in development (NODE_ENV=development)
+  if (isDevelopment) {
+    router.post("/test-webhook", async (req, res) => {
+      console.log("Test webhook called with body:", req.body);
+      const twiml = new MessagingResponse();
+      twiml.message("Test response from bot! ✅");
+      sendTwiml(res, twiml);
+    });
+
+    // Add a simple test endpoint to check if messages work
+    router.post("/test-simple", async (req, res) => {
+      const twiml = new MessagingResponse();
+      twiml.message("Simple test message works!");
+      sendTwiml(res, twiml);
+    });
+  }
+
+  router.post("/whatsapp", protectWebhook, async (req, res) => {
+    const twiml = new MessagingResponse();
+
+    console.log("=== WEBHOOK CALLED ===");
+    console.log("Request body:", req.body);
+    const message = toMessage(req.body);
+
+    const commandReply = handleCommand(message);
+    if (commandReply) {
+      commandReply.forEach(part => twiml.message(part));
+    } else if (twilioClient) {
+      // Acknowledge straight away and deliver the verdict through the REST API.
+      // Twilio retries a webhook with the same MessageSid, so duplicates are dropped here.
+      if (checkInBackground(message)) {
+        twiml.message(t(replyLanguage(message), "checking"));
+      }
+    } else {
+      // Without Twilio credentials the verdict can only go back in the webhook response
+      console.log("ℹ️ Twilio credentials missing - processing inline");
+      try {
+        const { reply, language } = await buildReply(message);
+        prepareReplyParts(message, reply, language).forEach(part => twiml.message(part));
+      } catch (err) {
+        console.error("❌ Error:", err.response?.data || err.message);
+        console.error("❌ Error stack:", err.stack);
+        twiml.message(t(replyLanguage(message), "general_error"));
+      }
+    }
+
+    sendTwiml(res, twiml);
+  });
+
+  return router;
+}